@@ -0,0 +1,147 @@
+import { DataFetcher } from '../lib/dataFetcher.js';
+import { PredictionService } from '../lib/predictionService.js';
+import { resolveGame } from '../lib/games.js';
+
+const service = PredictionService.shared();
+
+const STATUSES = ['open', 'resolved', 'all'];
+
+// Every call re-evaluates the alert rules against the ledger and the feed, so a
+// monitoring system polling this route is what opens and resolves alerts
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const game = resolveGame(req.query.game);
+  if (!game) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown game "${req.query.game}"`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const status = req.query.status || 'all';
+  if (!STATUSES.includes(status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown status "${status}" (expected one of: ${STATUSES.join(', ')})`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const profile = req.query.profile || service.config.defaultProfile();
+    if (!service.config.hasProfile(profile)) {
+      const names = service.config.profiles().map(p => p.name);
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown profile "${profile}" (expected one of: ${names.join(', ')})`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const dataFetcher = DataFetcher.forGame(game);
+    const historicalData = await dataFetcher.fetchHistoricalData();
+    const engine = await service.currentEngine(profile);
+    const monitor = service.monitorFor(game, profile);
+    const entries = await service.ledgerFor(game, profile).getEntries({ limit: monitor.depth, votes: true });
+
+    const context = { entries, models: engine.models, fetcher: dataFetcher, historicalData, game };
+    const { alerts, opened, resolved, checkedAt } = await monitor.check(context);
+    const metrics = monitor.snapshot(context);
+
+    const limit = parseInt(req.query.limit) || 100;
+    const listed = alerts
+      .filter(alert => status === 'all' || alert.status === status)
+      .reverse()
+      .slice(0, limit);
+
+    res.status(200).json({
+      status: 'success',
+      game: game.id,
+      profile,
+      checked_at: checkedAt,
+      open_count: alerts.filter(alert => alert.status === 'open').length,
+      opened: opened.map(alert => alert.key),
+      resolved: resolved.map(alert => alert.key),
+      metrics: {
+        window: monitor.window,
+        ensemble: {
+          accuracy: formatRate(metrics.accuracy[0]),
+          settled_samples: metrics.accuracy[0] ? metrics.accuracy[0].samples : 0,
+          big_share: formatRate(metrics.bigShare[0]),
+          vote_entropy: formatNumber(metrics.voteEntropy[0])
+        },
+        families: Object.fromEntries(metrics.familyBigShare.map(({ subject, samples }) => [subject, {
+          accuracy: formatRate(metrics.familyAccuracy.find(m => m.subject === subject)),
+          big_share: formatRate(metrics.familyBigShare.find(m => m.subject === subject)),
+          vote_entropy: formatNumber(metrics.familyVoteEntropy.find(m => m.subject === subject)),
+          samples
+        }])),
+        weakest_models: [...metrics.modelAccuracy]
+          .sort((a, b) => a.value - b.value || b.samples - a.samples)
+          .slice(0, 5)
+          .map(m => ({ model: m.subject, accuracy: formatRate(m), samples: m.samples })),
+        feed: {
+          last_fetch_at: dataFetcher.lastFetchTime ? new Date(dataFetcher.lastFetchTime).toISOString() : null,
+          seconds_since_fetch: formatNumber(metrics.secondsSinceFetch[0], 1),
+          seconds_since_new_issue: formatNumber(metrics.secondsSinceNewIssue[0], 1),
+          issues_behind: formatNumber(metrics.issuesBehind[0], 0)
+        }
+      },
+      rules: monitor.rules.map(rule => ({
+        id: rule.id,
+        metric: rule.metric,
+        below: rule.below ?? null,
+        above: rule.above ?? null,
+        window: rule.window ?? null,
+        min_samples: rule.minSamples ?? null,
+        severity: rule.severity || 'warning',
+        games: rule.games || null,
+        description: rule.description || null
+      })),
+      alerts: listed.map(alert => ({
+        key: alert.key,
+        rule: alert.rule,
+        metric: alert.metric,
+        subject: alert.subject,
+        severity: alert.severity,
+        description: alert.description,
+        below: alert.below,
+        above: alert.above,
+        window: alert.window,
+        value: formatNumber(alert),
+        samples: alert.samples,
+        status: alert.status,
+        opened_at: alert.openedAt,
+        updated_at: alert.updatedAt,
+        resolved_at: alert.resolvedAt
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Alerts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Alert check failed',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+function formatRate(measurement) {
+  return measurement ? `${(measurement.value * 100).toFixed(2)}%` : null;
+}
+
+// Infinity (a feed that never answered) has no JSON form, so it reads as null
+function formatNumber(measurement, digits = 4) {
+  if (!measurement || !Number.isFinite(measurement.value)) return null;
+  return Number(measurement.value.toFixed(digits));
+}
@@ -0,0 +1,104 @@
+import { DataFetcher } from '../lib/dataFetcher.js';
+import { resolveGame } from '../lib/games.js';
+import { PredictionService } from '../lib/predictionService.js';
+import { Backtester } from '../lib/backtester.js';
+
+const service = PredictionService.shared();
+
+// Enough archived issues for a few days of 1M draws, and still well inside maxDuration
+const MAX_LIMIT = 5000;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { from, to, start, end } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if ((start && !datePattern.test(start)) || (end && !datePattern.test(end))) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'start and end must be dates in YYYY-MM-DD format',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const game = resolveGame(req.query.game);
+  if (!game) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown game "${req.query.game}"`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    // The same ensemble /api/predict runs, with plugin instances of its own
+    const backtester = new Backtester(await service.replayEngine());
+    const dataFetcher = DataFetcher.forGame(game);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), MAX_LIMIT);
+    const range = { fromIssue: from, toIssue: to, startDate: start, endDate: end };
+    // ?archive=true reaches past the upstream window into the long-term archive, where
+    // the range picks the draws and limit caps how many of them are replayed
+    const fromArchive = req.query.archive === 'true' || req.query.archive === '1';
+    const historicalData = fromArchive
+      ? await dataFetcher.fetchArchivedRange(range, { limit, warmUp: backtester.minHistory })
+      : await dataFetcher.fetchHistoricalData(limit);
+
+    if (historicalData.length <= backtester.minHistory) {
+      return res.status(200).json({
+        status: 'error',
+        message: 'Insufficient data for backtest',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const report = await backtester.run(historicalData, range);
+
+    res.status(200).json({
+      status: 'success',
+      game: game.id,
+      source: fromArchive ? 'archive' : 'live',
+      range: {
+        from: report.firstIssue,
+        to: report.lastIssue
+      },
+      overall: formatSummary(report),
+      families: Object.fromEntries(
+        Object.entries(report.families).map(([family, summary]) => [family, formatSummary(summary)])
+      ),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Backtest error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Backtest failed',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+function formatSummary(summary) {
+  return {
+    samples: summary.samples,
+    wins: summary.wins,
+    losses: summary.losses,
+    hit_rate: `${(summary.hitRate * 100).toFixed(2)}%`,
+    confidence_interval: {
+      level: summary.confidenceInterval.level,
+      lower: `${(summary.confidenceInterval.lower * 100).toFixed(2)}%`,
+      upper: `${(summary.confidenceInterval.upper * 100).toFixed(2)}%`
+    },
+    p_value: Number(summary.pValue.toFixed(4)),
+    significant: summary.significant,
+    longest_win_run: summary.longestWinRun,
+    longest_loss_run: summary.longestLossRun
+  };
+}
@@ -1,6 +1,9 @@
 import { DataFetcher } from '../lib/dataFetcher.js';
+import { resolveGame } from '../lib/games.js';
+import { RandomnessTests } from '../utils/randomnessTests.js';
 
-const dataFetcher = new DataFetcher();
+// The same cap as /api/backtest: the whole page is serialised into the response
+const MAX_LIMIT = 5000;
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -10,18 +13,64 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
+  const game = resolveGame(req.query.game);
+  if (!game) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown game "${req.query.game}"`
+    });
+  }
+
+  const limit = boundedInteger(req.query.limit, 100, MAX_LIMIT);
+  if (limit === null) {
+    return res.status(400).json({
+      status: 'error',
+      message: `limit must be a positive integer (capped at ${MAX_LIMIT})`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const dataFetcher = DataFetcher.forGame(game);
+  const since = parseTime(dataFetcher.issueClock, req.query.start, 'since');
+  const until = parseTime(dataFetcher.issueClock, req.query.end, 'until');
+  if (since === null || until === null) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'start and end must be YYYY-MM-DD dates or ISO times',
+      timestamp: new Date().toISOString()
+    });
+  }
+
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const historicalData = await dataFetcher.fetchHistoricalData(limit);
+    // ?archive=true reads from the long-term archive, optionally bounded by issue
+    // (from/to) or close time (start/end, ISO dates or times)
+    const fromArchive = req.query.archive === 'true' || req.query.archive === '1';
+    const historicalData = fromArchive
+      ? await dataFetcher.fetchArchivedData({ fromIssue: req.query.from, toIssue: req.query.to, since, until, limit })
+      : await dataFetcher.fetchHistoricalData(limit);
     
     // Analyze historical trends
     const analysis = dataFetcher.analyzeTrends(historicalData);
+    if (analysis) {
+      const randomness = RandomnessTests.report(historicalData).summary;
+      analysis.randomness = {
+        verdict: randomness.verdict,
+        random: randomness.random,
+        tests_run: randomness.testsRun,
+        flagged: randomness.flagged
+      };
+      analysis.regime = dataFetcher.regimeReport(historicalData);
+    }
     
     res.status(200).json({
       status: 'success',
+      game: game.id,
+      source: fromArchive ? 'archive' : 'live',
+      archive_size: await dataFetcher.archive.size(),
       count: historicalData.length,
       data: historicalData,
       analysis: analysis,
+      data_quality: fromArchive ? null : dataFetcher.dataQualityReport(),
       timestamp: new Date().toISOString()
     });
     
@@ -33,3 +82,18 @@ export default async function handler(req, res) {
     });
   }
                          }
+
+// A bare date covers that whole game day on the issue clock, as in /api/backtest, so an
+// end date is inclusive; a full time is taken as it is. null when it doesn't parse.
+function parseTime(issueClock, value, edge) {
+  if (!value) return undefined;
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? issueClock.dayBounds(value)[edge] : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// undefined falls back; anything else must be a positive integer, and is clamped to max
+function boundedInteger(value, fallback, max) {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? Math.min(parsed, max) : null;
+}
@@ -1,23 +1,50 @@
 import fetch from 'node-fetch';
-import { EnsembleEngine } from '../lib/ensembleEngine.js';
-import { CacheManager } from '../lib/cacheManager.js';
 import { DataFetcher } from '../lib/dataFetcher.js';
+import { PredictionService } from '../lib/predictionService.js';
+import { Calibrator } from '../lib/calibrator.js';
+import { Safeguards } from '../lib/safeguards.js';
+import { Backtester } from '../lib/backtester.js';
+import { resolveGame } from '../lib/games.js';
 
 // Initialize services
-const cache = new CacheManager();
-const dataFetcher = new DataFetcher();
-const engine = new EnsembleEngine();
-
-// In-memory cache for ultra-fast access (Vercel serverless compatible)
-let predictionCache = {
-  lastPrediction: null,
-  lastResult: null,
-  winStreak: 0,
-  lossStreak: 0,
-  totalPredictions: 0,
-  wins: 0,
-  accuracy: 0
-};
+const service = PredictionService.shared();
+const { cache } = service;
+const calibrator = new Calibrator();
+const safeguards = new Map();
+
+const TARGETS = ['size', 'color', 'number'];
+
+// Stake limits are per address, game and profile, as each profile settles against its
+// own ledger; the edge they check is that profile's ensemble, rebuilt when a config
+// reload replaces it. Its backtest replays with plugin instances of its own, apart from
+// the live ones.
+async function safeguardsFor(game, profile) {
+  const engine = await service.currentEngine(profile);
+  const namespace = service.namespaceFor(game, profile);
+  const current = safeguards.get(namespace);
+  if (current && current.engine === engine) return current.safeguards;
+
+  const created = new Safeguards(cache, {
+    game,
+    namespace,
+    configVersion: engine.configVersion,
+    backtester: new Backtester(await service.replayEngine(profile))
+  });
+  safeguards.set(namespace, { engine, safeguards: created });
+  return created;
+}
+
+// Stake limits are tracked per connection address. There is no server-side login, and
+// an id the client picks would let anyone reset their own loss limit by changing it.
+// Vercel overwrites x-forwarded-for with the real client address; anywhere else the
+// header is the client's to forge, so only the socket's address counts.
+function clientAddress(req) {
+  if (process.env.VERCEL) {
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return (req.socket && req.socket.remoteAddress) || 'anonymous';
+}
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -29,7 +56,42 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
+  const game = resolveGame(req.query.game);
+  if (!game) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown game "${req.query.game}"`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const target = req.query.target || 'size';
+  if (!TARGETS.includes(target)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown target "${target}" (expected one of: ${TARGETS.join(', ')})`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const explain = req.query.explain === 'true' || req.query.explain === '1';
+
   try {
+    // An unset profile means the config's default one
+    const profile = req.query.profile || service.config.defaultProfile();
+    if (!service.config.hasProfile(profile)) {
+      const names = service.config.profiles().map(p => p.name);
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown profile "${profile}" (expected one of: ${names.join(', ')})`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const dataFetcher = DataFetcher.forGame(game);
+    const ledger = service.ledgerFor(game, profile);
+    const weighting = service.weightsFor(game, profile);
+
     // Fetch real-time data asynchronously
     const historicalData = await dataFetcher.fetchHistoricalData();
     
@@ -41,78 +103,257 @@ export default async function handler(req, res) {
       });
     }
 
+    // Don't predict from a window with too many quarantined rows or unfilled gaps
+    const dataQuality = dataFetcher.dataQualityReport();
+    if (dataQuality && !dataQuality.acceptable) {
+      return res.status(200).json({
+        status: 'error',
+        message: `Data quality ${dataQuality.score} is below the ${dataQuality.threshold} threshold`,
+        data_quality: dataQuality,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Get last known result
     const lastResult = historicalData[0];
-    const lastNumber = parseInt(lastResult.result.split(',')[0]);
-    const lastActualOutcome = lastNumber >= 50 ? 'BIG' : 'SMALL';
-
-    // Check previous prediction result
-    let winLossResult = null;
-    if (predictionCache.lastPrediction) {
-      const isWin = predictionCache.lastPrediction.prediction === lastActualOutcome;
-      winLossResult = isWin ? 'WIN' : 'LOSS';
-      
-      // Update statistics
-      predictionCache.totalPredictions++;
-      if (isWin) {
-        predictionCache.wins++;
-        predictionCache.winStreak++;
-        predictionCache.lossStreak = 0;
-      } else {
-        predictionCache.lossStreak++;
-        predictionCache.winStreak = 0;
-      }
-      predictionCache.accuracy = (predictionCache.wins / predictionCache.totalPredictions * 100).toFixed(2);
-    }
+    const lastNumber = lastResult.number;
+    const lastActualOutcome = lastResult.outcome;
 
-    // Generate new prediction using ensemble engine
-    const prediction = await engine.predictNextOutcome(historicalData);
-    
-    // Update cache with new prediction
-    predictionCache.lastPrediction = {
+    // Settle, reweight, then forecast and record the next issue
+    const { engine, weightState, weights, targetIssue, closesAt, prediction } =
+      await service.cycle(game, historicalData, { explain, profile });
+    const weightSummary = weighting.summarize(weightState, engine.models, weights);
+
+    const issueClock = dataFetcher.issueClock;
+    const drift = issueClock.drift(historicalData);
+    const gaps = issueClock.findGaps(historicalData);
+    const missingIssues = gaps.flatMap(gap => gap.missing);
+
+    const entries = await ledger.getEntries();
+    const stats = ledger.computeStatistics(entries);
+    const lastEntry = entries.find(e => e.issue === String(lastResult.issue));
+    const winLossResult = lastEntry && lastEntry.settledAt ? lastEntry.result : null;
+
+    // Map the raw vote share onto a probability fitted from settled issues
+    const calibration = calibrator.fit(entries);
+    const calibratedBig = calibrator.predict(calibration, prediction.bigVoteShare);
+    const evaluation = calibrator.evaluate(entries);
+
+    // No stake leaves the engine without passing the safeguards
+    const stake = await (await safeguardsFor(game, profile)).review({
+      userId: clientAddress(req),
+      issue: targetIssue,
+      proposedStake: prediction.suggestedStake,
+      // Without a fitted calibration there's no evidence the vote share beats a coin flip
+      probability: !calibration.fitted ? 0.5
+        : prediction.outcome === 'BIG' ? calibratedBig : 1 - calibratedBig,
+      ledgerStats: stats,
+      entries,
+      historicalData
+    });
+
+    // Keep the latest forecast in Redis for quick access across serverless instances
+    await cache.storePrediction({
+      issue: targetIssue,
       prediction: prediction.outcome,
       confidence: prediction.confidence,
-      timestamp: new Date().toISOString(),
-      issueNumber: historicalData[0].issue
-    };
-    predictionCache.lastResult = {
-      outcome: lastActualOutcome,
-      number: lastNumber,
-      issue: lastResult.issue
-    };
-
-    // Store in Redis for persistence across serverless instances
-    await cache.storePrediction(predictionCache);
+      statistics: stats
+    }, service.namespaceFor(game, profile));
 
     // Prepare response
     const response = {
       status: 'success',
+      game: game.id,
+      profile,
       timestamp: new Date().toISOString(),
       previous_prediction_result: winLossResult,
       statistics: {
-        accuracy: `${predictionCache.accuracy}%`,
-        win_streak: predictionCache.winStreak,
-        total_predictions: predictionCache.totalPredictions,
-        wins: predictionCache.wins,
-        losses: predictionCache.totalPredictions - predictionCache.wins
+        accuracy: `${stats.accuracy}%`,
+        win_streak: stats.winStreak,
+        loss_streak: stats.lossStreak,
+        total_predictions: stats.totalPredictions,
+        wins: stats.wins,
+        losses: stats.losses,
+        pending: stats.pending
       },
       current_prediction: {
         outcome: prediction.outcome,
         confidence: `${prediction.confidence}%`,
-        issue: historicalData[0].issue,
+        vote_share: {
+          description: 'Share of weighted model votes, not a probability',
+          big: formatPercent(prediction.bigVoteShare),
+          small: formatPercent(1 - prediction.bigVoteShare)
+        },
+        calibrated_probability: {
+          description: calibration.fitted
+            ? `Probability of each outcome, ${calibration.method}-calibrated on ${calibration.samples} settled issues`
+            : `Uncalibrated (needs ${calibrator.minSamples} settled issues, have ${calibration.samples}); equals the vote share`,
+          big: formatPercent(calibratedBig),
+          small: formatPercent(1 - calibratedBig)
+        },
+        issue: targetIssue,
+        closes_at: prediction.nextIssueTime,
         next_issue_expected: prediction.nextIssueTime,
         model_count: prediction.modelCount,
         trend_direction: prediction.trendDirection,
-        suggested_stake: prediction.suggestedStake
+        suggested_stake: {
+          suggested: stake.suggested,
+          amount: stake.amount === null ? null : stake.amount.toFixed(2),
+          level: stake.level,
+          reasons: stake.reasons,
+          adjustments: stake.adjustments,
+          expected_value: formatPercent(stake.expectedValue),
+          disclaimer: stake.disclaimer
+        }
+      },
+      responsible_play: {
+        session: {
+          scope: 'Limits apply per client address and profile; clients sharing an address share a session',
+          net_units: Number(stake.session.net.toFixed(2)),
+          loss_limit_units: stake.session.lossLimit,
+          consecutive_losses: stake.session.consecutiveLosses,
+          open_stakes: stake.session.openStakes,
+          cooldown_until: stake.session.cooldownUntil,
+          started_at: stake.session.startedAt
+        },
+        backtested_edge: {
+          samples: stake.edge.samples,
+          hit_rate: formatPercent(stake.edge.hitRate),
+          confidence_interval: [formatPercent(stake.edge.lower), formatPercent(stake.edge.upper)],
+          p_value: Number(stake.edge.pValue.toFixed(4)),
+          break_even: formatPercent(stake.edge.breakEven),
+          significant: stake.edge.significant,
+          tested_at: stake.edge.testedAt
+        }
+      },
+      calibration: {
+        method: calibration.method,
+        fitted: calibration.fitted,
+        samples: calibration.samples,
+        holdout: {
+          train_samples: evaluation.trainSamples,
+          test_samples: evaluation.testSamples,
+          raw: formatScore(evaluation.raw),
+          calibrated: formatScore(evaluation.calibrated)
+        }
       },
+      data_quality: dataQuality && {
+        score: dataQuality.score,
+        quarantined: dataQuality.quarantined_count,
+        backfilled: dataQuality.backfilled,
+        unrepaired: dataQuality.unrepaired_count
+      },
+      issue_clock: {
+        next_issue: targetIssue,
+        closes_at: prediction.nextIssueTime,
+        seconds_until_close: closesAt ? Math.round((closesAt.getTime() - Date.now()) / 1000) : null,
+        latest_issue: drift.latestIssue,
+        expected_latest_issue: drift.expectedLatestIssue,
+        issues_behind: drift.issuesBehind,
+        seconds_since_last_close: drift.secondsSinceClose === null ? null : Math.round(drift.secondsSinceClose),
+        payload_drift_seconds: drift.payloadDriftSeconds === null ? null : Number(drift.payloadDriftSeconds.toFixed(1)),
+        payload_samples: drift.payloadSamples,
+        gaps: gaps.length,
+        missing_issues: missingIssues.slice(0, 50),
+        missing_count: missingIssues.length
+      },
+      model_weights: {
+        updates: weightSummary.updates,
+        last_settled_issue: weightSummary.lastIssue,
+        top_models: weightSummary.topModels.map(m => ({
+          model: m.model,
+          family: m.family,
+          weight: Number(m.weight.toFixed(5)),
+          hit_rate: m.hitRate === null ? null : `${(m.hitRate * 100).toFixed(2)}%`
+        })),
+        drift: {
+          kl_from_uniform: Number(weightSummary.klFromUniform.toFixed(4)),
+          kl_from_prior: Number(weightSummary.klFromPrior.toFixed(4)),
+          total_variation_from_uniform: Number(weightSummary.totalVariationFromUniform.toFixed(4)),
+          effective_models: Number(weightSummary.effectiveModels.toFixed(1))
+        }
+      },
+      features: {
+        alternating: prediction.features.alternating,
+        current_cycle: prediction.features.currentCycle,
+        streak_type: prediction.features.streakType,
+        streak_length: prediction.features.streakLength,
+        support: Number(prediction.features.supportResistance.support.toFixed(2)),
+        resistance: Number(prediction.features.supportResistance.resistance.toFixed(2)),
+        volatility: Number(prediction.features.volatility.volatility.toFixed(4)),
+        risk_level: prediction.features.volatility.riskLevel,
+        trend: {
+          direction: prediction.features.trend.direction,
+          strength: Number(prediction.features.trend.strength.toFixed(2)),
+          confidence: Number(prediction.features.trend.confidence.toFixed(2))
+        }
+      },
+      // Families with regime multipliers in this profile voted under `current`
+      regime: dataFetcher.regimeReport(historicalData),
       last_result: {
         issue: lastResult.issue,
         number: lastNumber,
         outcome: lastActualOutcome,
-        full_result: lastResult.result
+        color: lastResult.colors.join('+'),
+        full_result: lastResult.result,
+        drawn_at: lastResult.timestamp,
+        time_source: lastResult.timeSource
       }
     };
 
+    // Plugins that failed are listed with their error; they sit out until retry_at
+    const plugins = service.plugins.health();
+    if (plugins.length > 0) {
+      response.model_plugins = plugins.map(p => ({
+        id: p.id,
+        family: p.family,
+        source: p.source,
+        healthy: p.healthy,
+        error: p.error,
+        failed_at: p.failedAt,
+        retry_at: p.retryAt,
+        calls: p.calls
+      }));
+    }
+
+    if (prediction.explanation) {
+      response.explanation = {
+        families: Object.fromEntries(
+          Object.entries(prediction.explanation.families).map(([family, summary]) => [family, {
+            models: summary.models,
+            big_votes: Number(summary.bigVotes.toFixed(5)),
+            small_votes: Number(summary.smallVotes.toFixed(5)),
+            features: summary.features
+          }])
+        ),
+        models: prediction.explanation.models.map(m => ({
+          model: m.model,
+          family: m.family,
+          parameters: m.parameters,
+          vote: m.vote,
+          weight: Number(m.weight.toFixed(5)),
+          recent_hit_rate: m.hitRate === null ? null : formatPercent(m.hitRate),
+          features: m.featureKey
+        }))
+      };
+    }
+
+    // Colour and number forecasts ride alongside the tracked size prediction
+    if (target !== 'size') {
+      const targetPrediction = engine.predictTarget(historicalData, target);
+      response.target_prediction = {
+        target,
+        outcome: targetPrediction.outcome,
+        probability: `${(targetPrediction.probability * 100).toFixed(2)}%`,
+        distribution: targetPrediction.distribution.map(d => ({
+          value: d.value,
+          probability: `${(d.probability * 100).toFixed(2)}%`,
+          count: d.count
+        })),
+        samples: targetPrediction.samples
+      };
+    }
+
     res.status(200).json(response);
 
   } catch (error) {
@@ -125,3 +366,20 @@ export default async function handler(req, res) {
     });
   }
 }
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function formatScore(score) {
+  return {
+    brier: score.brier === null ? null : Number(score.brier.toFixed(4)),
+    log_loss: score.logLoss === null ? null : Number(score.logLoss.toFixed(4)),
+    reliability: score.reliability.map(bin => ({
+      range: [bin.lower, bin.upper],
+      count: bin.count,
+      mean_predicted: Number(bin.meanPredicted.toFixed(4)),
+      observed_frequency: Number(bin.observedFrequency.toFixed(4))
+    }))
+  };
+}
@@ -0,0 +1,110 @@
+import { DataFetcher } from '../lib/dataFetcher.js';
+import { resolveGame } from '../lib/games.js';
+import { RandomnessTests } from '../utils/randomnessTests.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+
+// The same cap as /api/backtest
+const MAX_LIMIT = 5000;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { from, to, start, end } = req.query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if ((start && !datePattern.test(start)) || (end && !datePattern.test(end))) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'start and end must be dates in YYYY-MM-DD format',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const game = resolveGame(req.query.game);
+  if (!game) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown game "${req.query.game}"`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const alpha = parseFloat(req.query.alpha) || 0.05;
+  if (alpha <= 0 || alpha >= 1) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'alpha must be between 0 and 1',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const limit = boundedInteger(req.query.limit, 200, MAX_LIMIT);
+  if (limit === null) {
+    return res.status(400).json({
+      status: 'error',
+      message: `limit must be a positive integer (capped at ${MAX_LIMIT})`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const dataFetcher = DataFetcher.forGame(game);
+    const range = { fromIssue: from, toIssue: to, startDate: start, endDate: end };
+    // ?archive=true reaches past the upstream window into the long-term archive, where
+    // the range picks the draws and limit caps how many of them are tested
+    const fromArchive = req.query.archive === 'true' || req.query.archive === '1';
+    const historicalData = fromArchive
+      ? await dataFetcher.fetchArchivedRange(range, { limit })
+      : (await dataFetcher.fetchHistoricalData(limit)).filter(draw => IssueNumbers.inRange(String(draw.issue), range));
+    const report = RandomnessTests.report(historicalData, alpha);
+
+    res.status(200).json({
+      status: 'success',
+      game: game.id,
+      source: fromArchive ? 'archive' : 'live',
+      samples: report.samples,
+      alpha: report.alpha,
+      summary: {
+        verdict: report.summary.verdict,
+        random: report.summary.random,
+        tests_run: report.summary.testsRun,
+        adjusted_alpha: report.summary.adjustedAlpha,
+        flagged: report.summary.flagged
+      },
+      tests: Object.fromEntries(
+        Object.entries(report.tests).map(([key, test]) => {
+          const { name, statistic, pValue, verdict, ...details } = test;
+          return [key, {
+            name,
+            statistic: statistic === null ? null : Number(statistic.toFixed(4)),
+            p_value: pValue === null ? null : Number(pValue.toFixed(4)),
+            verdict,
+            details
+          }];
+        })
+      ),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Randomness report error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Randomness report failed',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// undefined falls back; anything else must be a positive integer, and is clamped to max
+function boundedInteger(value, fallback, max) {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? Math.min(parsed, max) : null;
+}
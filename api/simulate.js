@@ -0,0 +1,151 @@
+import { DataFetcher } from '../lib/dataFetcher.js';
+import { resolveGame } from '../lib/games.js';
+import { PredictionService } from '../lib/predictionService.js';
+import { BankrollSimulator, POLICIES } from '../lib/simulator.js';
+import { DEFAULT_PAYOUT_TABLE } from '../lib/payouts.js';
+
+const service = PredictionService.shared();
+
+// Monte Carlo cost grows with runs x horizon for every policy, so both are capped
+const MAX_RUNS = 5000;
+const MAX_HORIZON = 2000;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const game = resolveGame(req.query.game);
+  if (!game) {
+    return badRequest(res, `Unknown game "${req.query.game}"`);
+  }
+
+  const policy = req.query.policy || 'all';
+  if (policy !== 'all' && !POLICIES.includes(policy)) {
+    return badRequest(res, `Unknown policy "${policy}" (expected all or one of: ${POLICIES.join(', ')})`);
+  }
+
+  const bankroll = parseFloat(req.query.bankroll) || 1000;
+  const unit = parseFloat(req.query.unit) || 10;
+  const runs = boundedInteger(req.query.runs, 500, MAX_RUNS);
+  const requestedHorizon = boundedInteger(req.query.horizon, undefined, MAX_HORIZON);
+  const seed = req.query.seed || 1;
+  const kellyFraction = parseFloat(req.query.kelly_fraction) || 0.5;
+  const fee = req.query.fee === undefined ? DEFAULT_PAYOUT_TABLE.serviceFee : parseFloat(req.query.fee);
+
+  if (bankroll <= 0 || unit <= 0 || unit > bankroll) {
+    return badRequest(res, 'bankroll and unit must be positive, with unit no larger than bankroll');
+  }
+  if (!(fee >= 0 && fee < 1) || kellyFraction <= 0 || kellyFraction > 1) {
+    return badRequest(res, 'fee must be in [0, 1) and kelly_fraction in (0, 1]');
+  }
+  if (runs === null || requestedHorizon === null) {
+    return badRequest(res, `runs and horizon must be positive integers (capped at ${MAX_RUNS} and ${MAX_HORIZON})`);
+  }
+
+  try {
+    // The same ensemble /api/predict runs, with plugin instances of its own
+    const simulator = new BankrollSimulator(await service.replayEngine());
+    const dataFetcher = DataFetcher.forGame(game);
+    const limit = parseInt(req.query.limit) || 200;
+    const historicalData = await dataFetcher.fetchHistoricalData(limit);
+
+    if (historicalData.length <= simulator.minHistory) {
+      return res.status(200).json({
+        status: 'error',
+        message: 'Insufficient data for simulation',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const steps = await simulator.replay(historicalData);
+    const horizon = requestedHorizon ?? steps.length;
+    const payouts = { ...DEFAULT_PAYOUT_TABLE, serviceFee: fee };
+    const policies = policy === 'all' ? POLICIES : [policy];
+
+    const results = Object.fromEntries(policies.map(name => {
+      const options = { policy: name, bankroll, unit, kellyFraction, payouts, runs, seed, horizon };
+      const run = simulator.simulate(steps, options);
+      const monteCarlo = simulator.monteCarlo(steps, options);
+
+      return [name, {
+        final_bankroll: round(run.finalBankroll),
+        pnl: round(run.pnl),
+        return_on_stake: `${(run.returnOnStake * 100).toFixed(2)}%`,
+        bets: run.bets,
+        wins: run.wins,
+        hit_rate: `${(run.hitRate * 100).toFixed(2)}%`,
+        max_drawdown: `${(run.maxDrawdown * 100).toFixed(2)}%`,
+        ruined: run.ruined,
+        ruined_at: run.ruinedAt,
+        equity_curve: run.equityCurve.map(point => ({ issue: point.issue, bankroll: round(point.bankroll) })),
+        monte_carlo: {
+          runs: monteCarlo.runs,
+          horizon: monteCarlo.horizon,
+          seed: monteCarlo.seed,
+          risk_of_ruin: `${(monteCarlo.riskOfRuin * 100).toFixed(2)}%`,
+          probability_of_loss: `${(monteCarlo.probabilityOfLoss * 100).toFixed(2)}%`,
+          pnl: {
+            mean: round(monteCarlo.pnl.mean),
+            p5: round(monteCarlo.pnl.p5),
+            median: round(monteCarlo.pnl.median),
+            p95: round(monteCarlo.pnl.p95)
+          },
+          max_drawdown: {
+            median: `${(monteCarlo.maxDrawdown.median * 100).toFixed(2)}%`,
+            p95: `${(monteCarlo.maxDrawdown.p95 * 100).toFixed(2)}%`
+          }
+        }
+      }];
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      game: game.id,
+      issues: steps.length,
+      range: {
+        from: steps[0].issue,
+        to: steps[steps.length - 1].issue
+      },
+      settings: {
+        bankroll,
+        unit,
+        kelly_fraction: kellyFraction,
+        payout_table: payouts
+      },
+      policies: results,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Simulation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Simulation failed',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+function badRequest(res, message) {
+  return res.status(400).json({
+    status: 'error',
+    message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// undefined falls back; anything else must be a positive integer, and is clamped to max
+function boundedInteger(value, fallback, max) {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? Math.min(parsed, max) : null;
+}
+
+function round(value) {
+  return Number(value.toFixed(2));
+}
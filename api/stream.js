@@ -0,0 +1,76 @@
+import { LiveFeed, compareEventIds } from '../lib/liveFeed.js';
+import { resolveGame } from '../lib/games.js';
+
+const HEARTBEAT_SECONDS = parseFloat(process.env.WINGO_STREAM_HEARTBEAT_SECONDS) || 15;
+// Vercel cuts functions off at maxDuration, so end the stream cleanly just before and
+// let EventSource reconnect with Last-Event-ID. A plain Node server can stream forever.
+const MAX_SECONDS = parseFloat(process.env.WINGO_STREAM_MAX_SECONDS) || (process.env.VERCEL ? 55 : 0);
+
+// Only uses the bare Node request/response API so it runs under vercel dev and a
+// plain http.createServer alike
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Last-Event-ID');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  const game = resolveGame(query.game);
+  if (!game) {
+    res.statusCode = 400;
+    res.setHeader('Content-Type', 'application/json');
+    return res.end(JSON.stringify({
+      status: 'error',
+      message: `Unknown game "${query.game}"`,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  // Browsers send the header on reconnect; the query parameter is for clients that can't
+  const lastEventId = req.headers['last-event-id'] || query.last_event_id || null;
+  const feed = LiveFeed.forGame(game);
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (res.flushHeaders) res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let lastSent = lastEventId;
+  let ready = false;
+  const queued = [];
+
+  const send = event => {
+    if (lastSent && compareEventIds(event.id, lastSent) <= 0) return;
+    lastSent = event.id;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Live events that arrive while the backlog is being built wait their turn
+  const unsubscribe = feed.subscribe(event => (ready ? send(event) : queued.push(event)));
+  const heartbeat = setInterval(() => res.write(`: heartbeat ${new Date().toISOString()}\n\n`), HEARTBEAT_SECONDS * 1000);
+  const deadline = MAX_SECONDS ? setTimeout(() => res.end(), MAX_SECONDS * 1000) : null;
+
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(deadline);
+  };
+  req.on('close', close);
+  res.on('close', close);
+
+  try {
+    const backlog = await feed.backlog(lastEventId);
+    [...backlog, ...queued].sort((a, b) => compareEventIds(a.id, b.id)).forEach(send);
+  } catch (error) {
+    console.error('Stream backlog failed:', error);
+    res.write(`event: error\ndata: ${JSON.stringify({ message: 'Could not load recent events', error: error.message })}\n\n`);
+  }
+  ready = true;
+}
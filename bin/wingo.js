@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+// The engine from a terminal or cron job, without going through HTTP.
+//
+//   wingo predict   [--explain]
+//   wingo history   [--limit N] [--archive]
+//   wingo analyze   [--limit N]
+//   wingo backtest  [--from ISSUE] [--to ISSUE] [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--limit N] [--archive]
+//   wingo export    [--limit N] [--archive] [--out FILE]
+//   wingo tune      [--family F,F] [--strategy grid|random|halving] [--trials N] [--seed S]
+//                   [--folds K] [--top N] [--limit N] [--archive] [--export-config FILE]
+//
+// Every command takes --game (default 1M), --format table|json|ndjson (export also
+// csv, its default), --source FILE to replay a saved feed instead of the live one and
+// --profile NAME to run an ensemble preset other than the config's default.
+// Exit codes: 0 ok, 1 unexpected failure, 2 bad usage, 3 missing or unusable data.
+import { promises as fs } from 'fs';
+import YAML from 'yaml';
+import { DataFetcher } from '../lib/dataFetcher.js';
+import { EnsembleEngine } from '../lib/ensembleEngine.js';
+import { EnsembleConfig } from '../lib/ensembleConfig.js';
+import { ModelRegistry } from '../lib/modelRegistry.js';
+import { Backtester } from '../lib/backtester.js';
+import { FeatureStore } from '../lib/featureStore.js';
+import { Tuner, SEARCH_SPACE, STRATEGIES } from '../lib/tuner.js';
+import { CacheManager } from '../lib/cacheManager.js';
+import { resolveGame } from '../lib/games.js';
+import { PatternRecognizer } from '../utils/patternRecognizer.js';
+import { TrendAnalyzer } from '../utils/trendAnalyzer.js';
+import { CliArgs } from '../utils/cliArgs.js';
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_DATA = 3;
+
+const FORMATS = ['table', 'json', 'ndjson'];
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+const usageError = message => new CliError(message, EXIT_USAGE);
+const dataError = message => new CliError(message, EXIT_DATA);
+
+function fetcherFor(game, args) {
+  if (!args.source) return DataFetcher.forGame(game);
+  if (args.source === true) throw usageError('--source needs a file to replay');
+
+  // Offline replays read the whole file at once and leave the archive alone
+  return new DataFetcher({
+    game,
+    sourceConfig: { type: 'file', path: args.source, step: false },
+    archive: false
+  });
+}
+
+function positiveInteger(args, name, fallback) {
+  const value = args[name] === undefined ? fallback : parseInt(args[name]);
+  if (!(value > 0)) throw usageError(`--${name} must be a positive number`);
+  return value;
+}
+
+// options.range and options.warmUp narrow an --archive read, see DataFetcher.fetchArchivedRange
+async function loadDraws(fetcher, args, defaultLimit, options = {}) {
+  const limit = positiveInteger(args, 'limit', defaultLimit);
+
+  const draws = args.archive
+    ? await fetcher.fetchArchivedRange(options.range, { limit, warmUp: options.warmUp })
+    : await fetcher.fetchHistoricalData(limit);
+
+  if (draws.length === 0) {
+    throw dataError(args.archive ? 'The draw archive is empty' : `No draws could be read from ${args.source || 'the live feed'}`);
+  }
+  return draws;
+}
+
+const percent = value => `${(value * 100).toFixed(2)}%`;
+
+function drawRow(draw) {
+  return {
+    issue: draw.issue,
+    number: draw.number,
+    outcome: draw.outcome,
+    color: draw.colors.join('+'),
+    result: draw.result,
+    drawn_at: draw.timestamp
+  };
+}
+
+const COMMANDS = {
+  async predict(game, args, engine) {
+    const fetcher = fetcherFor(game, args);
+    const draws = await loadDraws(fetcher, args, 200);
+    if (draws.length < 50) throw dataError(`Need at least 50 draws to predict, have ${draws.length}`);
+
+    const quality = fetcher.quality;
+    if (quality && !quality.acceptable) {
+      throw dataError(`Data quality ${(quality.score * 100).toFixed(2)}% is below the ${(quality.threshold * 100).toFixed(2)}% threshold`);
+    }
+
+    const issue = fetcher.issueClock.next(draws[0].issue);
+    const closesAt = fetcher.issueClock.closeTime(issue);
+    const store = await FeatureStore.from(draws).pretrain(engine.contextAlphabets(), fetcher.archive);
+    const prediction = await engine.predictNextOutcome(draws, {
+      intervalSeconds: game.intervalSeconds,
+      nextIssueTime: closesAt && closesAt.toISOString(),
+      view: store.view(),
+      explain: Boolean(args.explain)
+    });
+
+    const row = {
+      game: game.id,
+      issue,
+      closes_at: prediction.nextIssueTime,
+      outcome: prediction.outcome,
+      confidence: `${prediction.confidence}%`,
+      big_vote_share: `${(prediction.bigVoteShare * 100).toFixed(2)}%`,
+      trend_direction: prediction.trendDirection,
+      model_count: prediction.modelCount
+    };
+
+    if (!prediction.explanation) return [row];
+    // With --explain, one row per model follows the forecast
+    return [row, ...prediction.explanation.models.map(m => ({
+      model: m.model,
+      family: m.family,
+      vote: m.vote,
+      weight: Number(m.weight.toFixed(5))
+    }))];
+  },
+
+  async history(game, args) {
+    const draws = await loadDraws(fetcherFor(game, args), args, 20);
+    return draws.map(drawRow);
+  },
+
+  async analyze(game, args) {
+    const fetcher = fetcherFor(game, args);
+    const draws = await loadDraws(fetcher, args, 100);
+    const analysis = fetcher.analyzeTrends(draws);
+    if (!analysis) throw dataError(`Need at least 10 draws to analyze, have ${draws.length}`);
+
+    const numbers = draws.map(d => d.number);
+    const patterns = PatternRecognizer.analyzeSequences(draws.slice(0, 20).map(d => d.outcome));
+    const trend = TrendAnalyzer.calculateTrendStrength(numbers);
+    const volatility = TrendAnalyzer.calculateVolatility(numbers);
+    const levels = TrendAnalyzer.detectSupportResistance(numbers.slice(0, 50));
+
+    return [{
+      game: game.id,
+      ...analysis,
+      alternating: patterns.alternating,
+      current_cycle: patterns.cycles[0] ? patterns.cycles[0].pattern.join('-') : null,
+      trend_direction: trend.direction,
+      trend_strength: Number(trend.strength.toFixed(2)),
+      step_volatility: Number(volatility.volatility.toFixed(4)),
+      risk_level: volatility.riskLevel,
+      support: Number(levels.support.toFixed(2)),
+      resistance: Number(levels.resistance.toFixed(2))
+    }];
+  },
+
+  async backtest(game, args, engine) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ([args.start, args.end].some(date => date !== undefined && !datePattern.test(date))) {
+      throw usageError('--start and --end must be dates in YYYY-MM-DD format');
+    }
+
+    const backtester = new Backtester(engine);
+    const range = { fromIssue: args.from, toIssue: args.to, startDate: args.start, endDate: args.end };
+    const draws = await loadDraws(fetcherFor(game, args), args, 200, { range, warmUp: backtester.minHistory });
+    if (draws.length <= backtester.minHistory) {
+      throw dataError(`Need more than ${backtester.minHistory} draws to backtest, have ${draws.length}`);
+    }
+
+    const report = await backtester.run(draws, range);
+    if (report.samples === 0) throw dataError('No draws fall inside the requested range');
+
+    const summarize = (scope, summary) => ({
+      scope,
+      samples: summary.samples,
+      wins: summary.wins,
+      hit_rate: `${(summary.hitRate * 100).toFixed(2)}%`,
+      ci_lower: `${(summary.confidenceInterval.lower * 100).toFixed(2)}%`,
+      ci_upper: `${(summary.confidenceInterval.upper * 100).toFixed(2)}%`,
+      p_value: Number(summary.pValue.toFixed(4)),
+      significant: summary.significant
+    });
+
+    return [
+      summarize(`overall ${report.firstIssue}..${report.lastIssue}`, report),
+      ...Object.entries(report.families).map(([family, summary]) => summarize(family, summary))
+    ];
+  },
+
+  async tune(game, args, engine) {
+    const families = typeof args.family === 'string' ? args.family.split(',') : Object.keys(SEARCH_SPACE);
+    const unknown = families.find(family => !SEARCH_SPACE[family]);
+    if (unknown) throw usageError(`Unknown family "${unknown}" (expected one of: ${Object.keys(SEARCH_SPACE).join(', ')})`);
+
+    const strategy = args.strategy || 'grid';
+    if (!STRATEGIES.includes(strategy)) {
+      throw usageError(`Unknown strategy "${strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+    }
+
+    const tuner = new Tuner(engine, { folds: positiveInteger(args, 'folds', 4) });
+    const trials = positiveInteger(args, 'trials', 40);
+    const top = positiveInteger(args, 'top', 10);
+    const seed = args.seed === undefined ? 1 : (Number.isNaN(Number(args.seed)) ? args.seed : Number(args.seed));
+
+    const draws = await loadDraws(fetcherFor(game, args), args, 500);
+    const needed = tuner.minHistory + (tuner.folds + 1) * 10;
+    if (draws.length < needed) throw dataError(`Need at least ${needed} draws for ${tuner.folds} folds, have ${draws.length}`);
+
+    const results = [];
+    for (const family of families) {
+      results.push(await tuner.tune(draws, { family, strategy, trials, seed }));
+    }
+
+    const exportPath = args['export-config'];
+    if (exportPath) {
+      if (exportPath === true) throw usageError('--export-config needs a file to write');
+      const config = tuner.exportConfig(EnsembleConfig.shared().current(), results);
+      const text = /\.ya?ml$/i.test(exportPath) ? YAML.stringify(config) : JSON.stringify(config, null, 2) + '\n';
+      await fs.writeFile(exportPath, text);
+      console.error(`Wrote tuned ensemble config to ${exportPath}`);
+    }
+
+    const row = (family, rank, params, score) => ({
+      family,
+      rank,
+      params,
+      in_sample: percent(score.inSample),
+      out_of_sample: percent(score.outOfSample),
+      gap: percent(score.gap),
+      p_value: score.pValue === undefined ? null : Number(score.pValue.toFixed(4)),
+      overfit: score.overfit
+    });
+
+    // Each family opens with how picking its in-sample leaders held up out of sample
+    return results.flatMap(result => [
+      row(result.family, 'selection', `top ${result.selection.top} of ${result.evaluated} by in-sample (${result.strategy})`, result.selection),
+      ...result.leaderboard.slice(0, top).map((score, i) => row(result.family, i + 1, Tuner.describe(score.params), score))
+    ]);
+  },
+
+  async export(game, args) {
+    const draws = await loadDraws(fetcherFor(game, args), args, 200);
+    // Oldest first, the order spreadsheets and FileSource replays expect
+    return draws.reverse().map(drawRow);
+  }
+};
+
+function render(rows, format) {
+  if (format === 'json') return JSON.stringify(rows.length === 1 ? rows[0] : rows, null, 2);
+  if (format === 'ndjson') return rows.map(row => JSON.stringify(row)).join('\n');
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const cell = value => (value === null || value === undefined ? '' : String(value));
+
+  if (format === 'csv') {
+    const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    return [columns, ...rows.map(row => columns.map(column => cell(row[column])))]
+      .map(line => line.map(escape).join(','))
+      .join('\n');
+  }
+
+  // A single record reads better as key/value pairs than as one very wide row
+  if (rows.length === 1) {
+    const width = Math.max(...columns.map(c => c.length));
+    return columns.map(column => `${column.padEnd(width)}  ${cell(rows[0][column])}`).join('\n');
+  }
+
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map(column => cell(row[column]))))
+  ].join('\n');
+}
+
+async function main() {
+  const args = CliArgs.parse(process.argv.slice(2));
+  const [command] = args.positional;
+
+  if (!command || args.help || !COMMANDS[command]) {
+    throw usageError(`Usage: wingo <${Object.keys(COMMANDS).join('|')}> [--game G] [--format F] [--source FILE] ...`);
+  }
+
+  const game = resolveGame(args.game === true ? undefined : args.game);
+  if (!game) throw usageError(`Unknown game "${args.game}"`);
+
+  const formats = command === 'export' ? ['csv', ...FORMATS] : FORMATS;
+  const format = args.format || formats[0];
+  if (!formats.includes(format)) {
+    throw usageError(`Unknown format "${format}" for ${command} (expected one of: ${formats.join(', ')})`);
+  }
+
+  const config = EnsembleConfig.shared();
+  if (args.profile !== undefined && !config.hasProfile(args.profile)) {
+    throw usageError(`Unknown profile "${args.profile}" (expected one of: ${config.profiles().map(p => p.name).join(', ')})`);
+  }
+
+  // Plugins from the plugin directory join the engine like they do behind the API
+  await ModelRegistry.shared().ready;
+  const rows = await COMMANDS[command](game, args, new EnsembleEngine({ profile: args.profile }));
+  const output = render(rows, format) + '\n';
+
+  if (args.out) {
+    await fs.writeFile(args.out, output);
+    console.error(`Wrote ${rows.length} rows to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main()
+  .then(() => 0, error => {
+    console.error(`wingo: ${error.message}`);
+    return error.exitCode || EXIT_FAILURE;
+  })
+  .then(async exitCode => {
+    await CacheManager.closeShared().catch(() => {});
+    process.exit(exitCode);
+  });
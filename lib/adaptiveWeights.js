@@ -0,0 +1,122 @@
+import _ from 'lodash';
+import { FileStore } from './fileStore.js';
+import { DEFAULT_GAME } from './games.js';
+
+// Multiplicative-weights (Hedge) over the ensemble's micro-models. Each model keeps
+// an exponentially decayed loss count, so old misses fade; its weight is its static
+// prior weight scaled by exp(-learningRate * decayedLoss), blended with a floor of the
+// prior so no model is ever switched off entirely. A model that abstained on an issue
+// (no BIG or SMALL vote, e.g. a plugin excluded as unhealthy) is left out of that
+// issue's update rather than charged a loss, since it made no call to be wrong about.
+export class AdaptiveWeights {
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.game = options.game || DEFAULT_GAME;
+    this.store = options.store || new FileStore(`weights-${this.game}`);
+    this.decay = options.decay ?? (parseFloat(process.env.WINGO_WEIGHT_DECAY) || 0.98);
+    this.learningRate = options.learningRate ?? (parseFloat(process.env.WINGO_WEIGHT_LEARNING_RATE) || 0.5);
+    this.floor = options.floor ?? 0.05;
+    // How many recently applied issues the state remembers, to skip repeats
+    this.maxApplied = options.maxApplied || 1000;
+  }
+
+  emptyState() {
+    return { models: {}, updates: 0, lastIssue: null, applied: [], updatedAt: null };
+  }
+
+  async load() {
+    const remote = await this.cache.getWeights(this.game);
+    return remote || await this.store.read(null) || this.emptyState();
+  }
+
+  // settledEntries come from PredictionLedger.settle. Instances settling at the same
+  // time commit through one Redis transaction, so neither overwrites the other, and
+  // issues the state already applied are skipped rather than counted twice.
+  async update(settledEntries) {
+    if (settledEntries.length === 0) return this.load();
+
+    const local = await this.store.read(null);
+    const remote = await this.cache.updateWeights(
+      state => this.apply(state || _.cloneDeep(local) || this.emptyState(), settledEntries),
+      this.game
+    );
+    const state = remote || this.apply(local || this.emptyState(), settledEntries);
+    await this.store.write(state);
+    return state;
+  }
+
+  apply(state, settledEntries) {
+    const applied = new Set(state.applied || []);
+
+    for (const entry of settledEntries) {
+      if (applied.has(entry.issue)) continue;
+      applied.add(entry.issue);
+
+      for (const [modelId, vote] of Object.entries(entry.votes || {})) {
+        if (vote !== 'BIG' && vote !== 'SMALL') continue;
+        const stats = state.models[modelId] || { loss: 0, hits: 0, trials: 0 };
+        const hit = vote === entry.outcome;
+        stats.loss = this.decay * stats.loss + (hit ? 0 : 1);
+        stats.hits = this.decay * stats.hits + (hit ? 1 : 0);
+        stats.trials = this.decay * stats.trials + 1;
+        state.models[modelId] = stats;
+      }
+      state.updates++;
+      state.lastIssue = entry.issue;
+    }
+
+    state.applied = [...applied].slice(-this.maxApplied);
+    state.updatedAt = new Date().toISOString();
+    return state;
+  }
+
+  computeWeights(state, models) {
+    const priorTotal = _.sumBy(models, 'weight');
+    const raw = models.map(model => {
+      const stats = state.models[model.id];
+      return model.weight * Math.exp(-this.learningRate * (stats ? stats.loss : 0));
+    });
+    const rawTotal = _.sum(raw);
+
+    return Object.fromEntries(models.map((model, i) => [
+      model.id,
+      (1 - this.floor) * raw[i] / rawTotal + this.floor * model.weight / priorTotal
+    ]));
+  }
+
+  summarize(state, models, weights, top = 5) {
+    const ids = models.map(m => m.id);
+    const uniform = 1 / ids.length;
+    const priorTotal = _.sumBy(models, 'weight');
+
+    const klFrom = reference => _.sum(ids.map((id, i) => {
+      const w = weights[id];
+      return w > 0 ? w * Math.log(w / reference(i)) : 0;
+    }));
+
+    const topModels = _.orderBy(models, m => weights[m.id], 'desc')
+      .slice(0, top)
+      .map(model => ({
+        model: model.id,
+        family: model.type,
+        weight: weights[model.id],
+        hitRate: this.hitRate(state, model.id)
+      }));
+
+    return {
+      updates: state.updates,
+      lastIssue: state.lastIssue,
+      topModels,
+      klFromUniform: klFrom(() => uniform),
+      klFromPrior: klFrom(i => models[i].weight / priorTotal),
+      totalVariationFromUniform: _.sum(ids.map(id => Math.abs(weights[id] - uniform))) / 2,
+      effectiveModels: 1 / _.sum(ids.map(id => weights[id] * weights[id]))
+    };
+  }
+
+  // Decay-weighted hit rate; null until the model has a settled vote
+  hitRate(state, modelId) {
+    const stats = state.models[modelId];
+    return stats && stats.trials > 0 ? stats.hits / stats.trials : null;
+  }
+}
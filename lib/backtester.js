@@ -0,0 +1,79 @@
+import _ from 'lodash';
+import { EnsembleEngine } from './ensembleEngine.js';
+import { FeatureStore } from './featureStore.js';
+import { Statistics } from '../utils/statistics.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+
+export class Backtester {
+  constructor(engine = new EnsembleEngine(), options = {}) {
+    this.engine = engine;
+    this.minHistory = options.minHistory || 50; // Same floor api/predict.js enforces
+    this.maxWindow = options.maxWindow || 200; // Same depth DataFetcher serves live
+    this.confidenceLevel = options.confidenceLevel || 0.95;
+  }
+
+  // draws are ordered most recent first, exactly as DataFetcher returns them.
+  // range can hold fromIssue/toIssue and/or startDate/endDate (YYYY-MM-DD).
+  async run(draws, range = {}) {
+    const chronological = [...draws].reverse();
+    // One store over the whole series; each step reads the slice it may see from it
+    const store = FeatureStore.from(draws);
+    const overall = [];
+    const families = {};
+
+    for (let i = this.minHistory; i < chronological.length; i++) {
+      const target = chronological[i];
+      if (!this.inRange(target, range)) continue;
+
+      // Only draws settled before the target are visible to the models
+      const visible = chronological
+        .slice(Math.max(0, i - this.maxWindow), i)
+        .reverse();
+
+      const predictions = await this.engine.runModels(visible, undefined, store.view(i, this.maxWindow));
+      const { outcome } = this.engine.aggregateVotes(predictions);
+
+      overall.push({ issue: target.issue, predicted: outcome, actual: target.outcome, hit: outcome === target.outcome });
+
+      // Score each model family as if it were voting on its own
+      const byFamily = _.groupBy(predictions, 'type');
+      for (const [family, members] of Object.entries(byFamily)) {
+        const vote = this.engine.aggregateVotes(members).outcome;
+        (families[family] = families[family] || []).push(vote === target.outcome);
+      }
+    }
+
+    return {
+      ...this.summarize(overall.map(r => r.hit)),
+      firstIssue: overall.length ? overall[0].issue : null,
+      lastIssue: overall.length ? overall[overall.length - 1].issue : null,
+      families: Object.fromEntries(
+        Object.entries(families).map(([family, hits]) => [family, this.summarize(hits)])
+      ),
+      trace: overall
+    };
+  }
+
+  summarize(hits) {
+    const samples = hits.length;
+    const wins = hits.filter(Boolean).length;
+    const runs = Statistics.longestRuns(hits);
+    const pValue = Statistics.binomialTest(wins, samples, 0.5);
+
+    return {
+      samples,
+      wins,
+      losses: samples - wins,
+      hitRate: samples ? wins / samples : 0,
+      confidenceInterval: Statistics.wilsonInterval(wins, samples, this.confidenceLevel),
+      pValue,
+      significant: samples > 0 && pValue < 1 - this.confidenceLevel,
+      longestWinRun: runs.true || 0,
+      longestLossRun: runs.false || 0
+    };
+  }
+
+  inRange(draw, range) {
+    return IssueNumbers.inRange(String(draw.issue), range);
+  }
+}
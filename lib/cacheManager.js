@@ -1,33 +1,65 @@
-import { createClient } from 'redis';
+import { createClient, WatchError } from 'redis';
+import { DEFAULT_GAME } from './games.js';
+
+let shared = null;
 
 export class CacheManager {
   constructor() {
     this.redisClient = null;
     this.localCache = new Map();
-    this.initRedis();
+    // Resolves once Redis is connected or we've given up on it
+    this.ready = this.initRedis();
+  }
+
+  // One connection for every route in the process
+  static shared() {
+    shared = shared || new CacheManager();
+    return shared;
+  }
+
+  static async closeShared() {
+    if (shared) await shared.close();
+  }
+
+  async close() {
+    await this.ready;
+    const client = this.redisClient;
+    this.redisClient = null;
+    if (client) await client.quit();
   }
 
   async initRedis() {
     try {
       // For Vercel, use serverless Redis or Redis Cloud
-      this.redisClient = createClient({
-        url: process.env.REDIS_URL || 'redis://localhost:6379'
+      const client = createClient({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        socket: {
+          // Stop reconnecting once we've fallen back to the local cache
+          reconnectStrategy: retries => this.redisClient ? Math.min(retries * 100, 3000) : new Error('Redis unavailable')
+        }
       });
       
-      this.redisClient.on('error', (err) => {
+      client.on('error', (err) => {
         console.error('Redis error:', err);
         this.redisClient = null;
       });
       
-      await this.redisClient.connect();
+      await client.connect();
+      // Only expose the client once connected; commands queued before that would hang
+      this.redisClient = client;
     } catch (error) {
       console.warn('Redis not available, using local cache only');
       this.redisClient = null;
     }
   }
 
-  async storePrediction(data) {
-    const key = 'wingo:predictions:latest';
+  // Every key is namespaced by game so intervals never share predictions or history
+  key(game, name) {
+    return `wingo:${game}:${name}`;
+  }
+
+  async storePrediction(data, game = DEFAULT_GAME) {
+    const key = this.key(game, 'predictions:latest');
     const timestamp = Date.now();
     
     // Store locally
@@ -45,8 +77,8 @@ export class CacheManager {
     }
   }
 
-  async getPrediction() {
-    const key = 'wingo:predictions:latest';
+  async getPrediction(game = DEFAULT_GAME) {
+    const key = this.key(game, 'predictions:latest');
     
     // Try Redis first
     if (this.redisClient) {
@@ -71,30 +103,316 @@ export class CacheManager {
     return null;
   }
 
-  async storeHistory(data) {
-    const key = 'wingo:history';
-    
-    // Store in Redis
+  // The draw archive is a sorted set of issues scored by close time, with each draw's
+  // JSON in a hash beside it. Both writes are NX, so re-ingesting a draw never rewrites
+  // it. Like the ledger methods below, these return null when Redis is unavailable.
+  async archiveDraws(draws, game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    if (draws.length === 0) return 0;
+    try {
+      const added = await this.redisClient.zAdd(
+        this.key(game, 'archive'),
+        draws.map(d => ({ score: d.score, value: String(d.draw.issue) })),
+        { NX: true }
+      );
+      const multi = this.redisClient.multi();
+      for (const { draw } of draws) {
+        multi.hSetNX(this.key(game, 'archive:draws'), String(draw.issue), JSON.stringify(draw));
+      }
+      await multi.exec();
+      return added;
+    } catch (error) {
+      console.warn('Redis archive store failed:', error.message);
+      return null;
+    }
+  }
+
+  // The most recent `limit` draws with close times in [min, max], most recent first
+  async getArchivedDraws(min, max, limit = Infinity, game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      const options = { BY: 'SCORE', REV: true };
+      if (Number.isFinite(limit)) options.LIMIT = { offset: 0, count: limit };
+      const issues = await this.redisClient.zRange(this.key(game, 'archive'), max, min, options);
+      return this.getArchivedDrawsByIssue(issues, game);
+    } catch (error) {
+      console.warn('Redis archive fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  async getArchivedDrawsByIssue(issues, game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    if (issues.length === 0) return [];
+    try {
+      const raw = await this.redisClient.hmGet(this.key(game, 'archive:draws'), issues.map(String));
+      return raw.filter(Boolean).map(value => JSON.parse(value));
+    } catch (error) {
+      console.warn('Redis archive fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  async getArchiveSize(game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      return await this.redisClient.zCard(this.key(game, 'archive'));
+    } catch (error) {
+      console.warn('Redis archive size failed:', error.message);
+      return null;
+    }
+  }
+
+  // Ledger entries live in one hash keyed by issue, their model votes in another, and
+  // the issues still waiting for a draw in a set, so settling reads only those. Each
+  // method returns null when Redis is unavailable so callers can fall back to their own
+  // storage.
+  async addLedgerEntry(issue, entry, votes, game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      const added = await this.redisClient.hSetNX(this.key(game, 'ledger'), String(issue), JSON.stringify(entry));
+      if (added) {
+        await this.redisClient.multi()
+          .hSet(this.key(game, 'ledger:votes'), String(issue), JSON.stringify(votes))
+          .sAdd(this.key(game, 'ledger:open'), String(issue))
+          .exec();
+      }
+      return Boolean(added);
+    } catch (error) {
+      console.warn('Redis ledger add failed:', error.message);
+      return null;
+    }
+  }
+
+  async updateLedgerEntry(issue, entry, game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      const transaction = this.redisClient.multi().hSet(this.key(game, 'ledger'), String(issue), JSON.stringify(entry));
+      if (entry.settledAt) transaction.sRem(this.key(game, 'ledger:open'), String(issue));
+      await transaction.exec();
+      return true;
+    } catch (error) {
+      console.warn('Redis ledger update failed:', error.message);
+      return null;
+    }
+  }
+
+  async claimSettlement(issue, game = DEFAULT_GAME) {
+    // Only the first instance to claim an issue gets to settle it
+    if (!this.redisClient) return null;
+    try {
+      const claimed = await this.redisClient.hSetNX(this.key(game, 'ledger:settled'), String(issue), String(Date.now()));
+      return Boolean(claimed);
+    } catch (error) {
+      console.warn('Redis settlement claim failed:', error.message);
+      return null;
+    }
+  }
+
+  async getLedgerEntries(game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      const raw = await this.redisClient.hGetAll(this.key(game, 'ledger'));
+      return Object.values(raw).map(value => JSON.parse(value));
+    } catch (error) {
+      console.warn('Redis ledger fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  async getLedgerEntriesByIssue(issues, game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    if (issues.length === 0) return [];
+    try {
+      const raw = await this.redisClient.hmGet(this.key(game, 'ledger'), issues.map(String));
+      return raw.filter(Boolean).map(value => JSON.parse(value));
+    } catch (error) {
+      console.warn('Redis ledger fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  async getOpenLedgerEntries(game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      const issues = await this.redisClient.sMembers(this.key(game, 'ledger:open'));
+      return this.getLedgerEntriesByIssue(issues, game);
+    } catch (error) {
+      console.warn('Redis open ledger fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  // Votes by issue, for the issues that still have them
+  async getLedgerVotes(issues, game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    if (issues.length === 0) return {};
+    try {
+      const raw = await this.redisClient.hmGet(this.key(game, 'ledger:votes'), issues.map(String));
+      return Object.fromEntries(issues
+        .map((issue, i) => [String(issue), raw[i]])
+        .filter(([, value]) => value)
+        .map(([issue, value]) => [issue, JSON.parse(value)]));
+    } catch (error) {
+      console.warn('Redis ledger votes fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  async getLedgerVoteIssues(game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      return await this.redisClient.hKeys(this.key(game, 'ledger:votes'));
+    } catch (error) {
+      console.warn('Redis ledger votes keys fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  async removeLedgerVotes(issues, game = DEFAULT_GAME) {
+    if (!this.redisClient || issues.length === 0) return null;
+    try {
+      await this.redisClient.hDel(this.key(game, 'ledger:votes'), issues.map(String));
+      return true;
+    } catch (error) {
+      console.warn('Redis ledger votes prune failed:', error.message);
+      return null;
+    }
+  }
+
+  async getLedgerIssues(game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      return await this.redisClient.hKeys(this.key(game, 'ledger'));
+    } catch (error) {
+      console.warn('Redis ledger keys fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  async removeLedgerEntries(issues, game = DEFAULT_GAME) {
+    if (!this.redisClient || issues.length === 0) return null;
+    try {
+      await this.redisClient.multi()
+        .hDel(this.key(game, 'ledger'), issues.map(String))
+        .hDel(this.key(game, 'ledger:settled'), issues.map(String))
+        .hDel(this.key(game, 'ledger:votes'), issues.map(String))
+        .sRem(this.key(game, 'ledger:open'), issues.map(String))
+        .exec();
+      return true;
+    } catch (error) {
+      console.warn('Redis ledger prune failed:', error.message);
+      return null;
+    }
+  }
+
+  // Like the ledger methods, these return null when Redis is unavailable
+  // Read-modify-write of the weights as an optimistic transaction: WATCH the key, hand
+  // what it holds (or null) to `mutate` and commit the result with MULTI, starting over
+  // if another instance wrote the key in between. Returns the committed state.
+  async updateWeights(mutate, game = DEFAULT_GAME, attempts = 5) {
+    if (!this.redisClient) return null;
+    const key = this.key(game, 'weights');
+    try {
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        const committed = await this.redisClient.executeIsolated(async client => {
+          await client.watch(key);
+          const cached = await client.get(key);
+          const state = mutate(cached ? JSON.parse(cached) : null);
+          try {
+            await client.multi().set(key, JSON.stringify(state)).exec();
+            return state;
+          } catch (error) {
+            if (error instanceof WatchError) return null;
+            throw error;
+          }
+        });
+        if (committed) return committed;
+      }
+      throw new Error(`still conflicting after ${attempts} attempts`);
+    } catch (error) {
+      console.warn('Redis weights update failed:', error.message);
+      return null;
+    }
+  }
+
+  async getWeights(game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      const cached = await this.redisClient.get(this.key(game, 'weights'));
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn('Redis weights fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  async storeAlerts(state, game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      await this.redisClient.set(this.key(game, 'alerts'), JSON.stringify(state));
+      return true;
+    } catch (error) {
+      console.warn('Redis alerts store failed:', error.message);
+      return null;
+    }
+  }
+
+  async getAlerts(game = DEFAULT_GAME) {
+    if (!this.redisClient) return null;
+    try {
+      const cached = await this.redisClient.get(this.key(game, 'alerts'));
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn('Redis alerts fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  // Short-lived JSON values kept both locally and in Redis, like predictions
+  async storeWithTtl(key, data, ttlSeconds) {
+    this.localCache.set(key, { data, expiresAt: Date.now() + ttlSeconds * 1000 });
+
     if (this.redisClient) {
       try {
-        await this.redisClient.set(key, JSON.stringify(data), {
-          EX: 30 // 30 seconds TTL for history
-        });
+        await this.redisClient.set(key, JSON.stringify(data), { EX: ttlSeconds });
       } catch (error) {
-        console.warn('Redis history store failed');
+        console.warn('Redis store failed:', error.message);
       }
     }
   }
 
-  async getHistory() {
+  async getWithTtl(key) {
     if (this.redisClient) {
       try {
-        const cached = await this.redisClient.get('wingo:history');
+        const cached = await this.redisClient.get(key);
         if (cached) return JSON.parse(cached);
       } catch (error) {
-        // Ignore cache miss
+        console.warn('Redis fetch failed:', error.message);
       }
     }
+
+    const local = this.localCache.get(key);
+    if (local && local.expiresAt > Date.now()) {
+      return local.data;
+    }
     return null;
   }
+
+  async storeSession(userId, session, game = DEFAULT_GAME) {
+    await this.storeWithTtl(this.key(game, `session:${userId}`), session, 86400); // 24 hours
+  }
+
+  async getSession(userId, game = DEFAULT_GAME) {
+    return this.getWithTtl(this.key(game, `session:${userId}`));
+  }
+
+  // Keyed by config version too, so a reloaded config is backtested afresh
+  async storeBacktestSummary(summary, game = DEFAULT_GAME, version = 0) {
+    await this.storeWithTtl(this.key(game, `backtest:summary:${version}`), summary, 600); // 10 minutes
+  }
+
+  async getBacktestSummary(game = DEFAULT_GAME, version = 0) {
+    return this.getWithTtl(this.key(game, `backtest:summary:${version}`));
+  }
 }
@@ -0,0 +1,198 @@
+import _ from 'lodash';
+
+const EPSILON = 1e-6;
+
+// Maps the ensemble's raw BIG vote share onto an actual P(BIG), fitted on settled
+// ledger entries. Platt scaling fits a two-parameter logistic curve; isotonic
+// regression fits a monotone step function and needs more data to be stable.
+export class Calibrator {
+  constructor(options = {}) {
+    this.method = options.method || process.env.WINGO_CALIBRATION || 'platt';
+    this.minSamples = options.minSamples || 30;
+    this.bins = options.bins || 10;
+    this.holdout = options.holdout ?? 0.3;
+
+    if (!['platt', 'isotonic'].includes(this.method)) {
+      throw new Error(`Unknown calibration method "${this.method}" (expected platt or isotonic)`);
+    }
+  }
+
+  // Ledger entries record the winning side's vote share as confidence; older
+  // entries predate bigShare, so rebuild it from that
+  static voteShare(entry) {
+    if (typeof entry.bigShare === 'number') return entry.bigShare;
+    const share = entry.confidence / 100;
+    return entry.prediction === 'BIG' ? share : 1 - share;
+  }
+
+  samplesFrom(entries) {
+    return entries
+      .filter(e => e.settledAt && (e.outcome === 'BIG' || e.outcome === 'SMALL'))
+      .map(e => ({ p: Calibrator.voteShare(e), y: e.outcome === 'BIG' ? 1 : 0 }));
+  }
+
+  fit(entries) {
+    const samples = this.samplesFrom(entries);
+    if (samples.length < this.minSamples) {
+      return { method: 'identity', fitted: false, samples: samples.length };
+    }
+
+    const params = this.method === 'platt' ? this.fitPlatt(samples) : this.fitIsotonic(samples);
+    return { method: this.method, fitted: true, samples: samples.length, ...params };
+  }
+
+  predict(model, p) {
+    if (!model.fitted) return p;
+
+    if (model.method === 'platt') {
+      return sigmoid(model.a * logit(p) + model.b);
+    }
+
+    // Isotonic: step function over the fitted blocks
+    const block = model.blocks.find(b => p <= b.upper) || model.blocks[model.blocks.length - 1];
+    return block.value;
+  }
+
+  fitPlatt(samples) {
+    // Newton-Raphson on the log-likelihood, using Platt's smoothed targets so a
+    // perfectly separated history doesn't send the slope to infinity
+    const positives = samples.filter(s => s.y === 1).length;
+    const negatives = samples.length - positives;
+    const high = (positives + 1) / (positives + 2);
+    const low = 1 / (negatives + 2);
+    const xs = samples.map(s => logit(s.p));
+    const ts = samples.map(s => (s.y === 1 ? high : low));
+
+    let a = 1;
+    let b = 0;
+    const ridge = 1e-3;
+
+    for (let iteration = 0; iteration < 50; iteration++) {
+      let gA = ridge * (a - 1);
+      let gB = 0;
+      let hAA = ridge;
+      let hAB = 0;
+      let hBB = EPSILON;
+
+      xs.forEach((x, i) => {
+        const q = sigmoid(a * x + b);
+        const residual = q - ts[i];
+        const curvature = q * (1 - q);
+        gA += residual * x;
+        gB += residual;
+        hAA += curvature * x * x;
+        hAB += curvature * x;
+        hBB += curvature;
+      });
+
+      const determinant = hAA * hBB - hAB * hAB;
+      if (Math.abs(determinant) < 1e-12) break;
+
+      const stepA = (hBB * gA - hAB * gB) / determinant;
+      const stepB = (hAA * gB - hAB * gA) / determinant;
+      a -= stepA;
+      b -= stepB;
+
+      if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+    }
+
+    return { a, b };
+  }
+
+  fitIsotonic(samples) {
+    // Pool-adjacent-violators over samples sorted by vote share
+    const sorted = _.sortBy(samples, 'p');
+    const blocks = [];
+
+    for (const sample of sorted) {
+      blocks.push({ upper: sample.p, sum: sample.y, count: 1 });
+      while (blocks.length > 1 &&
+        blocks[blocks.length - 2].sum / blocks[blocks.length - 2].count >= blocks[blocks.length - 1].sum / blocks[blocks.length - 1].count) {
+        const last = blocks.pop();
+        const previous = blocks[blocks.length - 1];
+        previous.sum += last.sum;
+        previous.count += last.count;
+        previous.upper = last.upper;
+      }
+    }
+
+    return {
+      blocks: blocks.map(b => ({
+        upper: b.upper,
+        // Keep calibrated probabilities off 0 and 1 so log-loss stays finite
+        value: Math.min(1 - EPSILON, Math.max(EPSILON, b.sum / b.count)),
+        count: b.count
+      }))
+    };
+  }
+
+  // Scores the raw vote share and the calibrated probability on the most recent
+  // slice of history, using a model fitted only on the issues before it
+  evaluate(entries) {
+    const settled = entries.filter(e => e.settledAt);
+    const split = Math.floor(settled.length * (1 - this.holdout));
+    const model = this.fit(settled.slice(0, split));
+    const test = this.samplesFrom(settled.slice(split));
+
+    const raw = test.map(s => ({ p: s.p, y: s.y }));
+    const calibrated = test.map(s => ({ p: this.predict(model, s.p), y: s.y }));
+
+    return {
+      trainSamples: model.samples,
+      testSamples: test.length,
+      fitted: model.fitted,
+      raw: this.score(raw),
+      calibrated: this.score(calibrated)
+    };
+  }
+
+  score(pairs) {
+    if (pairs.length === 0) {
+      return { brier: null, logLoss: null, reliability: [] };
+    }
+
+    const brier = _.meanBy(pairs, s => Math.pow(s.p - s.y, 2));
+    const logLoss = -_.meanBy(pairs, s => {
+      const p = Math.min(1 - EPSILON, Math.max(EPSILON, s.p));
+      return s.y ? Math.log(p) : Math.log(1 - p);
+    });
+
+    return { brier, logLoss, reliability: this.reliability(pairs) };
+  }
+
+  reliability(pairs) {
+    const bins = Array.from({ length: this.bins }, (_unused, i) => ({
+      lower: i / this.bins,
+      upper: (i + 1) / this.bins,
+      count: 0,
+      predictedSum: 0,
+      observedSum: 0
+    }));
+
+    pairs.forEach(({ p, y }) => {
+      const bin = bins[Math.min(this.bins - 1, Math.floor(p * this.bins))];
+      bin.count++;
+      bin.predictedSum += p;
+      bin.observedSum += y;
+    });
+
+    return bins
+      .filter(b => b.count > 0)
+      .map(b => ({
+        lower: b.lower,
+        upper: b.upper,
+        count: b.count,
+        meanPredicted: b.predictedSum / b.count,
+        observedFrequency: b.observedSum / b.count
+      }));
+  }
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function logit(p) {
+  const clamped = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+  return Math.log(clamped / (1 - clamped));
+}
@@ -1,12 +1,40 @@
-import fetch from 'node-fetch';
 import _ from 'lodash';
+import { createSource } from './sources/index.js';
+import { GAMES, DEFAULT_GAME } from './games.js';
+import { IssueClock } from './issueClock.js';
+import { DataValidator } from './dataValidator.js';
+import { DrawArchive } from './drawArchive.js';
+import { CacheManager } from './cacheManager.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+import { TrendAnalyzer } from '../utils/trendAnalyzer.js';
+
+const fetchers = new Map();
 
 export class DataFetcher {
-  constructor() {
-    this.baseUrl = 'https://draw.ar-lottery01.com/WinGo/WinGo_1M/GetHistoryIssuePage.json';
+  constructor(options = {}) {
+    this.game = options.game || GAMES[DEFAULT_GAME];
+    this.issueClock = options.issueClock || new IssueClock(this.game);
+    // Any adapter exposing fetchDraws() works; by default it comes from config/env
+    this.source = options.source ||
+      createSource({ game: this.game, issueClock: this.issueClock, ...options.sourceConfig });
+    this.validator = options.validator || new DataValidator({ game: this.game, issueClock: this.issueClock });
+    // archive: false keeps offline replays from writing into the long-term archive
+    this.archive = options.archive === false ? null
+      : options.archive || new DrawArchive(options.cache, { game: this.game, issueClock: this.issueClock });
+    // Share of clean, contiguous draws below which callers should not trust the window
+    this.minQuality = options.minQuality ?? (parseFloat(process.env.WINGO_MIN_DATA_QUALITY) || 0.9);
     this.cacheDuration = 3000; // 3 seconds cache for real-time data
     this.lastFetchTime = 0;
     this.cachedData = null;
+    this.quality = null;
+  }
+
+  // One fetcher (and so one short-lived cache) per game, shared by every route
+  static forGame(game = GAMES[DEFAULT_GAME]) {
+    if (!fetchers.has(game.id)) {
+      fetchers.set(game.id, new DataFetcher({ game, cache: CacheManager.shared() }));
+    }
+    return fetchers.get(game.id);
   }
 
   async fetchHistoricalData(limit = 200) {
@@ -18,38 +46,10 @@ export class DataFetcher {
     }
 
     try {
-      const response = await fetch(this.baseUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Accept': 'application/json',
-          'Cache-Control': 'no-cache'
-        },
-        timeout: 5000
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      
-      // Transform and normalize data
-      if (data.data && data.data.list) {
-        this.cachedData = data.data.list
-          .map(item => ({
-            issue: item.issue,
-            result: item.result,
-            timestamp: new Date().toISOString(),
-            number: parseInt(item.result.split(',')[0]) || 0,
-            outcome: this._determineOutcome(item.result)
-          }))
-          .reverse(); // Most recent first
-        
-        this.lastFetchTime = now;
-        return this.cachedData.slice(0, limit);
-      }
-      
-      throw new Error('Invalid data format received');
+      // Adapters return normalized records; only validated, repaired ones reach the models
+      this.cachedData = await this.repair(await this.source.fetchDraws(), now);
+      this.lastFetchTime = now;
+      return this.cachedData.slice(0, limit);
       
     } catch (error) {
       console.error('Data fetch error:', error);
@@ -58,9 +58,118 @@ export class DataFetcher {
     }
   }
 
-  _determineOutcome(resultString) {
-    const firstNum = parseInt(resultString.split(',')[0]) || 0;
-    return firstNum >= 50 ? 'BIG' : 'SMALL';
+  // Quarantines bad rows, archives the good ones, then fills the gaps the feed left from the archive
+  async repair(draws, now = Date.now()) {
+    const report = this.validator.validate(draws, now);
+    const archived = this.archive ? await this.archive.append(report.valid) : 0;
+    const missing = report.gaps.flatMap(gap => gap.missing);
+    const backfilled = this.archive
+      ? (await this.archive.lookup(missing)).map(draw => ({ ...draw, backfilled: true }))
+      : [];
+
+    const repaired = [...report.valid, ...backfilled].sort((a, b) => IssueNumbers.compare(b.issue, a.issue));
+    const unrepaired = this.issueClock.findGaps(repaired).flatMap(gap => gap.missing);
+
+    const validity = report.received ? report.valid.length / report.received : 0;
+    const completeness = repaired.length ? repaired.length / (repaired.length + unrepaired.length) : 0;
+    const score = validity * completeness;
+
+    this.quality = {
+      score,
+      threshold: this.minQuality,
+      acceptable: score >= this.minQuality,
+      received: report.received,
+      accepted: report.valid.length,
+      quarantined: report.quarantined.map(q => ({ issue: q.draw.issue, result: q.draw.result, reasons: q.reasons })),
+      duplicates: report.duplicates,
+      outOfOrder: report.outOfOrder,
+      gaps: report.gaps.length,
+      missing: missing.length,
+      backfilled: backfilled.length,
+      unrepaired,
+      archived,
+      checkedAt: new Date(now).toISOString()
+    };
+
+    return repaired;
+  }
+
+  // Draws older than the upstream window come from the archive; see DrawArchive.query
+  async fetchArchivedData(query = {}) {
+    return this.archive ? this.archive.query(query) : [];
+  }
+
+  // The newest `limit` archived draws inside a range (fromIssue/toIssue and/or
+  // startDate/endDate, as Backtester.run takes it), so a range older than the newest
+  // `limit` issues is still found. With a range, `warmUp` draws from just before it
+  // follow, letting a replay predict the range's first issue from a full history.
+  async fetchArchivedRange(range = {}, options = {}) {
+    const { fromIssue, toIssue, startDate, endDate } = range;
+    const { limit = Infinity, warmUp = 0 } = options;
+
+    const draws = await this.fetchArchivedData({
+      fromIssue,
+      toIssue,
+      since: startDate ? this.issueClock.dayBounds(startDate).since : undefined,
+      until: endDate ? this.issueClock.dayBounds(endDate).until : undefined,
+      limit
+    });
+
+    const bounded = Boolean(fromIssue || toIssue || startDate || endDate);
+    if (!bounded || warmUp === 0 || draws.length === 0) return draws;
+
+    const before = this.issueClock.offset(draws[draws.length - 1].issue, -1);
+    return [...draws, ...(before ? await this.fetchArchivedData({ toIssue: before, limit: warmUp }) : [])];
+  }
+
+  dataQualityReport() {
+    if (!this.quality) return null;
+    const q = this.quality;
+
+    return {
+      score: (q.score * 100).toFixed(2) + '%',
+      threshold: (q.threshold * 100).toFixed(2) + '%',
+      acceptable: q.acceptable,
+      received: q.received,
+      accepted: q.accepted,
+      quarantined_count: q.quarantined.length,
+      quarantined: q.quarantined.slice(0, 50),
+      duplicates: q.duplicates,
+      out_of_order: q.outOfOrder,
+      gaps: q.gaps,
+      missing_issues: q.missing,
+      backfilled: q.backfilled,
+      unrepaired_issues: q.unrepaired.slice(0, 50),
+      unrepaired_count: q.unrepaired.length,
+      newly_archived: q.archived,
+      checked_at: q.checkedAt
+    };
+  }
+
+  // Current regime and change points (TrendAnalyzer.detectRegime) as the API reports them
+  regimeReport(data) {
+    const regime = TrendAnalyzer.detectRegime(data || []);
+    if (!regime) return null;
+
+    const changePoint = cp => cp && {
+      issue: cp.issue,
+      method: cp.method,
+      series: cp.series,
+      direction: cp.direction || null,
+      issues_ago: cp.drawsAgo,
+      seconds_ago: cp.drawnAt ? Math.round((Date.now() - Date.parse(cp.drawnAt)) / 1000) : null
+    };
+
+    return {
+      current: regime.regime,
+      probabilities: _.mapValues(regime.probabilities, p => `${(p * 100).toFixed(2)}%`),
+      switch_rate: `${(regime.switchRate * 100).toFixed(2)}%`,
+      regime_since: changePoint(regime.regimeStart),
+      run_length: regime.runLength,
+      last_change_point: changePoint(regime.lastChangePoint),
+      change_points: regime.changePoints.slice(0, 20).map(changePoint),
+      samples: regime.samples
+    };
   }
 
   analyzeTrends(data) {
@@ -72,6 +181,7 @@ export class DataFetcher {
     // Calculate basic statistics
     const bigCount = outcomes.filter(o => o === 'BIG').length;
     const smallCount = outcomes.filter(o => o === 'SMALL').length;
+    const colorCounts = _.countBy(data.flatMap(d => d.colors || []));
     
     // Calculate streaks
     let currentStreak = 1;
@@ -96,6 +206,9 @@ export class DataFetcher {
       total_samples: data.length,
       big_percentage: ((bigCount / data.length) * 100).toFixed(2),
       small_percentage: ((smallCount / data.length) * 100).toFixed(2),
+      red_percentage: (((colorCounts.RED || 0) / data.length) * 100).toFixed(2),
+      green_percentage: (((colorCounts.GREEN || 0) / data.length) * 100).toFixed(2),
+      violet_percentage: (((colorCounts.VIOLET || 0) / data.length) * 100).toFixed(2),
       current_streak: currentStreak,
       streak_type: currentType,
       max_streak: maxStreak,
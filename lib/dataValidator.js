@@ -0,0 +1,92 @@
+import { GAMES, DEFAULT_GAME } from './games.js';
+import { IssueClock } from './issueClock.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+
+// Checks a batch of normalized draws before any model sees it. Rows that fail the
+// schema, carry out-of-range values or duplicate another issue are quarantined with
+// the reasons why; the rest come back most recent first along with the gaps between them.
+export class DataValidator {
+  constructor(options = {}) {
+    this.game = options.game || GAMES[DEFAULT_GAME];
+    this.issueClock = options.issueClock || new IssueClock(this.game);
+    this.clock = options.clock || (() => Date.now());
+  }
+
+  problemsWith(draw, now) {
+    const problems = [];
+    const parsed = draw.issue ? this.issueClock.parse(draw.issue) : null;
+
+    if (!draw.issue) {
+      problems.push('missing issue number');
+    } else if (!parsed) {
+      problems.push(`malformed issue number "${draw.issue}"`);
+    } else {
+      if (parsed.code !== this.game.issueCode) {
+        problems.push(`issue code ${parsed.code} does not belong to ${this.game.id}`);
+      }
+      if (parsed.sequence < 1 || parsed.sequence > this.issueClock.issuesPerDay) {
+        problems.push(`sequence ${parsed.sequence} is outside 1-${this.issueClock.issuesPerDay}`);
+      }
+      // Allow one interval of slack for clock skew before calling an issue premature
+      const closesAt = this.issueClock.closeTime(draw.issue);
+      if (closesAt && closesAt.getTime() > now + this.issueClock.intervalMs) {
+        problems.push(`issue closes at ${closesAt.toISOString()}, after the fetch`);
+      }
+    }
+
+    if (draw.number === null || draw.number === undefined) {
+      problems.push(`result "${draw.result}" is not a digit 0-9`);
+    }
+
+    return problems;
+  }
+
+  validate(draws, now = this.clock()) {
+    const quarantined = [];
+    const byIssue = new Map();
+    let duplicates = 0;
+    let outOfOrder = 0;
+
+    draws.forEach((draw, index) => {
+      if (index > 0 && draw.issue && draws[index - 1].issue &&
+        IssueNumbers.compare(draw.issue, draws[index - 1].issue) > 0) {
+        outOfOrder++;
+      }
+
+      const problems = this.problemsWith(draw, now);
+      if (problems.length > 0) {
+        quarantined.push({ draw, reasons: problems });
+        return;
+      }
+
+      const existing = byIssue.get(draw.issue);
+      if (!existing) {
+        byIssue.set(draw.issue, draw);
+        return;
+      }
+
+      duplicates++;
+      if (existing.result === draw.result) {
+        quarantined.push({ draw, reasons: ['duplicate issue'] });
+      } else {
+        // Two different results for one issue: neither can be trusted
+        const reason = `conflicting results for issue ${draw.issue} ("${existing.result}" and "${draw.result}")`;
+        quarantined.push({ draw: existing, reasons: [reason] }, { draw, reasons: [reason] });
+        byIssue.set(draw.issue, null);
+      }
+    });
+
+    const valid = [...byIssue.values()]
+      .filter(Boolean)
+      .sort((a, b) => IssueNumbers.compare(b.issue, a.issue));
+
+    return {
+      received: draws.length,
+      valid,
+      quarantined,
+      duplicates,
+      outOfOrder,
+      gaps: this.issueClock.findGaps(valid)
+    };
+  }
+}
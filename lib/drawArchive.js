@@ -0,0 +1,140 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DEFAULT_DIRECTORY } from './fileStore.js';
+import { GAMES, DEFAULT_GAME } from './games.js';
+import { IssueClock } from './issueClock.js';
+import { normalizeDraw } from './sources/normalizeDraw.js';
+
+// Append-only store of every validated draw we have seen, keyed by issue. Redis holds
+// it as a sorted set scored by close time; an NDJSON file (one draw per line, the same
+// format FileSource replays) is written alongside and read when Redis is unavailable.
+// Draws already archived are never rewritten.
+export class DrawArchive {
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.game = options.game || GAMES[DEFAULT_GAME];
+    this.issueClock = options.issueClock || new IssueClock(this.game);
+    this.filePath = path.join(options.directory || DEFAULT_DIRECTORY, `archive-${this.game.id}.ndjson`);
+    this.local = null;
+    this.localSize = -1;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  toRecord(draw) {
+    return { issue: draw.issue, result: draw.result, drawTime: draw.timestamp, timeSource: draw.timeSource };
+  }
+
+  toDraw(record) {
+    const draw = normalizeDraw(record, { issueClock: this.issueClock });
+    return { ...draw, timeSource: record.timeSource || draw.timeSource };
+  }
+
+  score(issue) {
+    const closesAt = this.issueClock.closeTime(issue);
+    return closesAt ? closesAt.getTime() : null;
+  }
+
+  // Reads the NDJSON file into an issue index, again only if another writer grew it
+  async loadLocal() {
+    let size = 0;
+    try {
+      size = (await fs.stat(this.filePath)).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (this.local && size === this.localSize) return this.local;
+
+    const local = new Map();
+    if (size > 0) {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      for (const line of contents.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if (!local.has(record.issue)) local.set(record.issue, record);
+        } catch (error) {
+          // A torn last line from an interrupted append; the rest of the file is intact
+        }
+      }
+    }
+
+    this.local = local;
+    this.localSize = size;
+    return local;
+  }
+
+  // Returns how many of the draws were new to the archive
+  async append(draws) {
+    const candidates = new Map();
+    for (const draw of draws) {
+      const score = this.score(draw.issue);
+      if (score !== null && !candidates.has(draw.issue)) {
+        candidates.set(draw.issue, { score, draw: this.toRecord(draw) });
+      }
+    }
+
+    // Redis dedupes on its own (NX); the file only gets issues it hasn't seen
+    const remoteAdded = this.cache ? await this.cache.archiveDraws([...candidates.values()], this.game.id) : null;
+
+    const local = await this.loadLocal();
+    const fresh = [...candidates.values()]
+      .filter(({ draw }) => !local.has(draw.issue))
+      .sort((a, b) => a.score - b.score);
+    if (fresh.length === 0) return remoteAdded ?? 0;
+
+    for (const { draw } of fresh) local.set(draw.issue, draw);
+
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, fresh.map(f => JSON.stringify(f.draw)).join('\n') + '\n');
+        this.localSize = (await fs.stat(this.filePath)).size;
+      } catch (error) {
+        console.warn(`Draw archive append failed (${this.filePath}):`, error.message);
+      }
+    });
+    await this.pendingWrite;
+
+    return remoteAdded ?? fresh.length;
+  }
+
+  // Issue bounds are inclusive; since/until are epoch milliseconds of the close time.
+  // Returns the most recent `limit` matching draws, most recent first.
+  async query({ fromIssue, toIssue, since, until, limit = Infinity } = {}) {
+    const min = Math.max(fromIssue ? this.score(fromIssue) : -Infinity, since ?? -Infinity);
+    const max = Math.min(toIssue ? this.score(toIssue) : Infinity, until ?? Infinity);
+
+    // An empty answer from Redis may just mean it was never filled (a fresh instance
+    // after a file import), so the file gets a say before the range counts as empty
+    const remote = this.cache ? await this.cache.getArchivedDraws(min, max, limit, this.game.id) : null;
+    if (remote && remote.length > 0) return remote.map(record => this.toDraw(record));
+
+    const local = await this.loadLocal();
+    return [...local.values()]
+      .map(record => ({ record, score: this.score(record.issue) }))
+      .filter(({ score }) => score !== null && score >= min && score <= max)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ record }) => this.toDraw(record));
+  }
+
+  async lookup(issues) {
+    if (issues.length === 0) return [];
+
+    const remote = this.cache ? await this.cache.getArchivedDrawsByIssue(issues, this.game.id) : null;
+    if (remote && remote.length === issues.length) return remote.map(record => this.toDraw(record));
+
+    // Whatever Redis lacks may still be in the file
+    const found = new Map((remote || []).map(record => [String(record.issue), record]));
+    const local = await this.loadLocal();
+    return issues
+      .map(issue => found.get(String(issue)) || local.get(issue))
+      .filter(Boolean)
+      .map(record => this.toDraw(record));
+  }
+
+  async size() {
+    const remote = this.cache ? await this.cache.getArchiveSize(this.game.id) : null;
+    return remote || (await this.loadLocal()).size;
+  }
+}
@@ -0,0 +1,305 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import _ from 'lodash';
+import { FileStore } from './fileStore.js';
+import { GAMES, DEFAULT_GAME } from './games.js';
+
+const DEFAULT_RULES_PATH = process.env.WINGO_ALERT_RULES ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'alerts.json');
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+// What a rule can watch. Windowed metrics read the ledger's last `window` entries
+// (settled ones for accuracy) and are only judged once they hold minSamples; the
+// per-family and per-model ones give one value, and so one alert, per subject.
+export const METRICS = {
+  accuracy: { windowed: true, description: 'ensemble hit rate' },
+  familyAccuracy: { windowed: true, description: "hit rate of each family's majority vote" },
+  modelAccuracy: { windowed: true, description: 'hit rate of each model' },
+  bigShare: { windowed: true, description: 'share of ensemble predictions that were BIG' },
+  familyBigShare: { windowed: true, description: "share of each family's votes that were BIG" },
+  voteEntropy: { windowed: true, description: 'mean entropy (bits) of the weighted BIG/SMALL vote' },
+  familyVoteEntropy: { windowed: true, description: "mean entropy (bits) of each family's votes" },
+  secondsSinceFetch: { windowed: false, description: 'seconds since the feed last answered' },
+  secondsSinceNewIssue: { windowed: false, description: 'seconds since the latest issue closed' },
+  issuesBehind: { windowed: false, description: 'issues the feed is behind the issue clock' }
+};
+
+// Returns every problem with a rule file, not just the first
+export function validateAlertRules(config) {
+  if (typeof config !== 'object' || config === null || !Array.isArray(config.rules)) {
+    return ['rules must be an array'];
+  }
+
+  const problems = [];
+  if (config.window !== undefined && !(Number.isInteger(config.window) && config.window > 0)) {
+    problems.push('window must be a positive integer');
+  }
+
+  const ids = new Set();
+  config.rules.forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (typeof rule !== 'object' || rule === null) {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || rule.id.length === 0) problems.push(`${where}.id must be a non-empty string`);
+    else if (ids.has(rule.id)) problems.push(`${where}.id "${rule.id}" is used twice`);
+    ids.add(rule.id);
+
+    if (!METRICS[rule.metric]) {
+      problems.push(`${where}.metric must be one of ${Object.keys(METRICS).join(', ')}`);
+    }
+    if (rule.below === undefined && rule.above === undefined) problems.push(`${where} needs below and/or above`);
+    for (const bound of ['below', 'above']) {
+      if (rule[bound] !== undefined && !Number.isFinite(rule[bound])) problems.push(`${where}.${bound} must be a number`);
+    }
+    for (const field of ['window', 'minSamples']) {
+      if (rule[field] !== undefined && !(Number.isInteger(rule[field]) && rule[field] >= (field === 'window' ? 1 : 0))) {
+        problems.push(`${where}.${field} must be a ${field === 'window' ? 'positive' : 'non-negative'} integer`);
+      }
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      problems.push(`${where}.severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (rule.games !== undefined && !(Array.isArray(rule.games) && rule.games.every(game => GAMES[game]))) {
+      problems.push(`${where}.games must list game ids (${Object.keys(GAMES).join(', ')})`);
+    }
+  });
+
+  return problems;
+}
+
+// Binary entropy in bits: 0 for a unanimous vote, 1 for an even split
+function entropy(p) {
+  return [p, 1 - p].reduce((sum, q) => (q > 0 ? sum - q * Math.log2(q) : sum), 0);
+}
+
+// Watches one ledger (a game, or a game and profile) for the live hit rate sliding,
+// families turning one-sided and the feed going stale. check() measures every rule,
+// opens an alert for each newly breached rule and subject, refreshes the ones still
+// breached and resolves the rest; open and resolved alerts are kept as history.
+export class DriftMonitor {
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.namespace = options.namespace || DEFAULT_GAME;
+    this.store = options.store || new FileStore(`alerts-${this.namespace}`);
+    this.config = options.rules || DriftMonitor.loadRules(options.rulesPath);
+    this.window = this.config.window || 50;
+    this.maxHistory = options.maxHistory || 500;
+  }
+
+  static loadRules(file = DEFAULT_RULES_PATH) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = validateAlertRules(config);
+    if (problems.length > 0) {
+      throw new Error(`Invalid alert rules ${file}:\n  ${problems.join('\n  ')}`);
+    }
+    return config;
+  }
+
+  get rules() {
+    return this.config.rules;
+  }
+
+  // How many of the latest ledger entries the rules can read: twice the widest window,
+  // since a window of settled entries can have open ones in between
+  get depth() {
+    return 2 * Math.max(this.window, ...this.rules.map(rule => rule.window || 0));
+  }
+
+  emptyState() {
+    return { alerts: [], checks: 0, checkedAt: null };
+  }
+
+  async load() {
+    const remote = await this.cache.getAlerts(this.namespace);
+    return remote || await this.store.read(null) || this.emptyState();
+  }
+
+  async save(state) {
+    await this.cache.storeAlerts(state, this.namespace);
+    await this.store.write(state);
+  }
+
+  // context: { entries (ledger, oldest first), models (the engine's), fetcher, historicalData, game, now }
+  measure(metric, context, window = this.window) {
+    const { entries, models, fetcher, historicalData } = context;
+    const now = context.now ?? Date.now();
+    const recent = entries.slice(-window);
+    const settled = entries.filter(entry => entry.settledAt).slice(-window);
+    const familyOf = new Map(models.map(model => [model.id, model.type]));
+
+    // Each entry's votes counted per family (or per model)
+    const tally = (entry, keyOf) => {
+      const counts = {};
+      for (const [id, vote] of Object.entries(entry.votes || {})) {
+        const key = keyOf(id);
+        if (!key || (vote !== 'BIG' && vote !== 'SMALL')) continue;
+        counts[key] = counts[key] || { BIG: 0, SMALL: 0 };
+        counts[key][vote]++;
+      }
+      return counts;
+    };
+
+    const perSubject = (source, keyOf, score) => {
+      const values = {};
+      for (const entry of source) {
+        for (const [subject, counts] of Object.entries(tally(entry, keyOf))) {
+          const value = score(counts, entry);
+          if (value === null) continue;
+          (values[subject] = values[subject] || []).push(value);
+        }
+      }
+      return Object.entries(values).map(([subject, list]) => ({ subject, value: _.mean(list), samples: list.length }));
+    };
+
+    const ensemble = list => (list.length ? [{ subject: 'ensemble', value: _.mean(list), samples: list.length }] : []);
+    // A family's vote is its majority; a tie is no vote
+    const majority = counts => (counts.BIG === counts.SMALL ? null : counts.BIG > counts.SMALL ? 'BIG' : 'SMALL');
+    const drift = () => (historicalData && historicalData.length ? fetcher.issueClock.drift(historicalData, now) : null);
+
+    switch (metric) {
+      case 'accuracy':
+        return ensemble(settled.map(entry => (entry.result === 'WIN' ? 1 : 0)));
+      case 'familyAccuracy':
+        return perSubject(settled, id => familyOf.get(id), (counts, entry) => {
+          const vote = majority(counts);
+          return vote === null ? null : Number(vote === entry.outcome);
+        });
+      case 'modelAccuracy':
+        return perSubject(settled, id => (familyOf.has(id) ? id : null),
+          (counts, entry) => Number(counts[entry.outcome] > 0));
+      case 'bigShare':
+        return ensemble(recent.map(entry => (entry.prediction === 'BIG' ? 1 : 0)));
+      case 'familyBigShare': {
+        // Pooled over every vote in the window rather than averaged per issue
+        const pooled = {};
+        for (const entry of recent) {
+          for (const [family, counts] of Object.entries(tally(entry, id => familyOf.get(id)))) {
+            pooled[family] = pooled[family] || { BIG: 0, SMALL: 0, samples: 0 };
+            pooled[family].BIG += counts.BIG;
+            pooled[family].SMALL += counts.SMALL;
+            pooled[family].samples++;
+          }
+        }
+        return Object.entries(pooled).map(([subject, counts]) => ({
+          subject,
+          value: counts.BIG / (counts.BIG + counts.SMALL),
+          samples: counts.samples
+        }));
+      }
+      case 'voteEntropy':
+        return ensemble(recent.filter(entry => Number.isFinite(entry.bigShare)).map(entry => entropy(entry.bigShare)));
+      case 'familyVoteEntropy':
+        return perSubject(recent, id => familyOf.get(id), counts => entropy(counts.BIG / (counts.BIG + counts.SMALL)));
+      case 'secondsSinceFetch':
+        // A fetcher that never got an answer is as stale as it gets
+        return [{ subject: 'feed', value: fetcher.lastFetchTime ? (now - fetcher.lastFetchTime) / 1000 : Infinity, samples: 1 }];
+      case 'secondsSinceNewIssue': {
+        const seconds = (drift() || {}).secondsSinceClose;
+        return [{ subject: 'feed', value: seconds ?? Infinity, samples: 1 }];
+      }
+      case 'issuesBehind': {
+        const behind = (drift() || {}).issuesBehind;
+        return [{ subject: 'feed', value: behind ?? Infinity, samples: 1 }];
+      }
+      default:
+        throw new Error(`Unknown metric "${metric}"`);
+    }
+  }
+
+  // The current value of every metric over the default window, for reporting
+  snapshot(context) {
+    return Object.fromEntries(Object.keys(METRICS).map(metric => [metric, this.measure(metric, context)]));
+  }
+
+  breached(rule, value) {
+    return (rule.below !== undefined && value < rule.below) || (rule.above !== undefined && value > rule.above);
+  }
+
+  async check(context) {
+    const state = await this.load();
+    const now = new Date(context.now ?? Date.now()).toISOString();
+    const open = new Map(state.alerts.filter(alert => alert.status === 'open').map(alert => [alert.key, alert]));
+    const opened = [];
+    const resolved = [];
+    const resolve = (key, alert) => {
+      Object.assign(alert, { status: 'resolved', updatedAt: now, resolvedAt: now });
+      open.delete(key);
+      resolved.push(alert);
+    };
+
+    const rules = this.rules.filter(rule => !rule.games || !context.game || rule.games.includes(context.game.id));
+    for (const rule of rules) {
+      const window = rule.window || this.window;
+      const minSamples = METRICS[rule.metric].windowed ? rule.minSamples ?? 20 : 0;
+      const measurements = this.measure(rule.metric, context, window);
+      const present = new Set(measurements.map(({ subject }) => `${rule.id}:${subject}`));
+
+      for (const { subject, value, samples } of measurements) {
+        // Too few samples says nothing either way; an open alert stays as it is
+        if (samples < minSamples) continue;
+
+        const key = `${rule.id}:${subject}`;
+        const alert = open.get(key);
+
+        if (this.breached(rule, value)) {
+          if (alert) {
+            Object.assign(alert, { value, samples, updatedAt: now });
+            continue;
+          }
+          const created = {
+            key,
+            rule: rule.id,
+            metric: rule.metric,
+            subject,
+            severity: rule.severity || 'warning',
+            description: rule.description || METRICS[rule.metric].description,
+            below: rule.below ?? null,
+            above: rule.above ?? null,
+            window: METRICS[rule.metric].windowed ? window : null,
+            value,
+            samples,
+            status: 'open',
+            openedAt: now,
+            updatedAt: now,
+            resolvedAt: null
+          };
+          state.alerts.push(created);
+          open.set(key, created);
+          opened.push(created);
+        } else if (alert) {
+          Object.assign(alert, { value, samples });
+          resolve(key, alert);
+        }
+      }
+
+      // Subjects that have gone away (a family switched off) no longer breach anything
+      for (const [key, alert] of open) {
+        if (alert.rule === rule.id && !present.has(key)) resolve(key, alert);
+      }
+    }
+
+    // Alerts for rules that were removed from the file resolve too
+    const ruleIds = new Set(this.rules.map(rule => rule.id));
+    for (const [key, alert] of open) {
+      if (!ruleIds.has(alert.rule)) resolve(key, alert);
+    }
+
+    state.alerts = this.prune(state.alerts);
+    state.checks++;
+    state.checkedAt = now;
+    await this.save(state);
+
+    return { alerts: state.alerts, opened, resolved, checkedAt: now };
+  }
+
+  // Open alerts are always kept; resolved ones only up to maxHistory, newest first
+  prune(alerts) {
+    const resolved = alerts.filter(alert => alert.status === 'resolved');
+    const dropped = new Set(resolved.slice(0, Math.max(0, resolved.length - this.maxHistory)));
+    return alerts.filter(alert => !dropped.has(alert));
+  }
+}
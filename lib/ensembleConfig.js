@@ -0,0 +1,325 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { REGIMES } from '../utils/trendAnalyzer.js';
+import { ALPHABETS } from './variableOrderMarkov.js';
+
+const DEFAULT_PATH = process.env.WINGO_ENSEMBLE_CONFIG ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'ensemble.json');
+
+export const STATISTICAL_METHODS = ['EMA', 'RSI', 'FIBONACCI', 'BOLLINGER'];
+
+// Every family the engine knows how to build, its model id prefix and the parameters
+// each of its models takes. Parameters listed under choices take one of those names
+// rather than a number.
+export const FAMILIES = {
+  TREND_FOLLOWING: { prefix: 'TREND', params: ['window', 'threshold'] },
+  MEAN_REVERSION: { prefix: 'MR', params: ['lookback', 'deviation'] },
+  PATTERN_RECOGNITION: { prefix: 'PATTERN', params: ['patternLength', 'confidence'] },
+  STATISTICAL: { prefix: 'STAT', params: ['method'], choices: { method: STATISTICAL_METHODS } },
+  SEQUENCE_PATTERN: { prefix: 'SEQ', params: ['lookback', 'reversalLength'] },
+  TREND_ANALYSIS: { prefix: 'TA', params: ['shortWindow', 'longWindow'] },
+  VARIABLE_ORDER_MARKOV: { prefix: 'VOM', params: ['alphabet', 'maxOrder'], choices: { alphabet: Object.keys(ALPHABETS) } }
+};
+
+const FAMILY_FIELDS = ['enabled', 'count', 'weight', 'params', 'regimes'];
+
+// A family's weight is its share of the ensemble, split evenly between its models, so
+// the enabled families' weights must sum to 1. Profiles may override weights without
+// keeping that sum: votes are only ever compared as shares of the profile's total.
+const WEIGHT_TOLERANCE = 1e-6;
+
+// A parameter is either a constant or a grid the family's models walk through:
+//   { values: [...], every: k }        values[floor(i / k) % length]
+//   { range: [min, max], step, every } the same, over min, min + step, ... max
+//   { start, step, every }             start + step * floor(i / k)
+//
+// A family may also condition its vote on the regime TrendAnalyzer.classifyRegime sees,
+// with a weight multiplier per regime (0 sits the family out); unlisted regimes keep 1:
+//   regimes: { STREAKY: 1.5, ALTERNATING: 0 }
+export function parameterValue(spec, index) {
+  if (typeof spec !== 'object') return spec;
+
+  const position = Math.floor(index / (spec.every || 1));
+  if (spec.values) return spec.values[position % spec.values.length];
+  if (spec.range) {
+    const step = spec.step || 1;
+    const length = Math.floor((spec.range[1] - spec.range[0]) / step) + 1;
+    return spec.range[0] + (position % length) * step;
+  }
+  return spec.start + (spec.step || 0) * position;
+}
+
+function specProblems(spec, where, family, name) {
+  const choices = (FAMILIES[family].choices || {})[name];
+  const validValue = value => (choices ? choices.includes(value) : Number.isFinite(value));
+  const describe = choices ? `one of ${choices.join(', ')}` : 'a finite number';
+
+  if (typeof spec !== 'object' || spec === null) {
+    return validValue(spec) ? [] : [`${where} must be ${describe} or a parameter grid`];
+  }
+
+  const problems = [];
+  const kinds = ['values', 'range', 'start'].filter(key => spec[key] !== undefined);
+  if (kinds.length !== 1) {
+    return [`${where} needs exactly one of values, range or start`];
+  }
+  if (spec.every !== undefined && !(Number.isInteger(spec.every) && spec.every > 0)) {
+    problems.push(`${where}.every must be a positive integer`);
+  }
+  if (spec.step !== undefined && !Number.isFinite(spec.step)) {
+    problems.push(`${where}.step must be a number`);
+  }
+
+  if (spec.values !== undefined) {
+    if (!Array.isArray(spec.values) || spec.values.length === 0) {
+      problems.push(`${where}.values must be a non-empty array`);
+    } else if (!spec.values.every(validValue)) {
+      problems.push(`${where}.values must each be ${describe}`);
+    }
+  } else if (spec.range !== undefined) {
+    const range = Array.isArray(spec.range) ? spec.range : [];
+    const [min, max] = range;
+    if (choices || range.length !== 2 || !Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+      problems.push(`${where}.range must be [min, max] numbers with min <= max`);
+    }
+    if (spec.step !== undefined && !(spec.step > 0)) problems.push(`${where}.step must be positive for a range`);
+  } else if (choices || !Number.isFinite(spec.start)) {
+    problems.push(`${where}.start must be ${choices ? 'replaced by values' : 'a number'}`);
+  }
+
+  return problems;
+}
+
+function familyProblems(family, definition, where, partial) {
+  if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+    return [`${where} must be an object`];
+  }
+
+  const problems = Object.keys(definition)
+    .filter(key => !FAMILY_FIELDS.includes(key))
+    .map(key => `${where}.${key} is not a recognised field (expected ${FAMILY_FIELDS.join(', ')})`);
+
+  if (definition.enabled !== undefined && typeof definition.enabled !== 'boolean') {
+    problems.push(`${where}.enabled must be true or false`);
+  }
+  if ((!partial || definition.count !== undefined) &&
+    !(Number.isInteger(definition.count) && definition.count >= 0 && definition.count <= 1000)) {
+    problems.push(`${where}.count must be an integer from 0 to 1000`);
+  }
+  if ((!partial || definition.weight !== undefined) && !(Number.isFinite(definition.weight) && definition.weight >= 0)) {
+    problems.push(`${where}.weight must be a non-negative number`);
+  }
+
+  const regimes = definition.regimes;
+  if (regimes !== undefined) {
+    if (typeof regimes !== 'object' || regimes === null || Array.isArray(regimes)) {
+      problems.push(`${where}.regimes must be an object of regime multipliers`);
+    } else {
+      for (const [regime, multiplier] of Object.entries(regimes)) {
+        if (!REGIMES.includes(regime)) {
+          problems.push(`${where}.regimes.${regime} is not a regime (expected ${REGIMES.join(', ')})`);
+        } else if (!(Number.isFinite(multiplier) && multiplier >= 0)) {
+          problems.push(`${where}.regimes.${regime} must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  const params = definition.params;
+  if (params === undefined) {
+    if (!partial) problems.push(`${where}.params is required`);
+    return problems;
+  }
+  if (typeof params !== 'object' || params === null) {
+    return [...problems, `${where}.params must be an object`];
+  }
+
+  const expected = FAMILIES[family].params;
+  for (const name of Object.keys(params)) {
+    if (!expected.includes(name)) {
+      problems.push(`${where}.params.${name} is not a ${family} parameter (expected ${expected.join(', ')})`);
+    } else {
+      problems.push(...specProblems(params[name], `${where}.params.${name}`, family, name));
+    }
+  }
+  if (!partial) {
+    for (const name of expected.filter(name => params[name] === undefined)) {
+      problems.push(`${where}.params.${name} is required`);
+    }
+  }
+
+  return problems;
+}
+
+// Returns every problem with a config, not just the first
+export function validateEnsembleConfig(config) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  const problems = [];
+  if (config.version !== undefined && config.version !== 1) {
+    problems.push(`version ${config.version} is not supported (expected 1)`);
+  }
+
+  const families = config.families;
+  if (typeof families !== 'object' || families === null || Object.keys(families).length === 0) {
+    return [...problems, 'families must list at least one model family'];
+  }
+  for (const [family, definition] of Object.entries(families)) {
+    if (!FAMILIES[family]) {
+      problems.push(`families.${family} is not a known family (expected ${Object.keys(FAMILIES).join(', ')})`);
+    } else {
+      problems.push(...familyProblems(family, definition, `families.${family}`, false));
+    }
+  }
+
+  const profiles = config.profiles || {};
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    return [...problems, 'profiles must be an object'];
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    const where = `profiles.${name}`;
+    if (typeof profile !== 'object' || profile === null) {
+      problems.push(`${where} must be an object`);
+      continue;
+    }
+    for (const [family, override] of Object.entries(profile.families || {})) {
+      if (!families[family]) {
+        problems.push(`${where}.families.${family} is not defined in families`);
+      } else if (FAMILIES[family]) {
+        problems.push(...familyProblems(family, override, `${where}.families.${family}`, true));
+      }
+    }
+  }
+
+  const defaultProfile = config.defaultProfile || 'default';
+  if (config.defaultProfile !== undefined && !Object.hasOwn(profiles, defaultProfile)) {
+    problems.push(`defaultProfile "${defaultProfile}" is not one of the profiles`);
+  }
+
+  // Only once the pieces are valid does it make sense to check what each profile adds up to
+  if (problems.length === 0) {
+    const total = Object.values(families)
+      .filter(definition => definition.enabled ?? true)
+      .reduce((sum, definition) => sum + definition.weight, 0);
+    if (Math.abs(total - 1) > WEIGHT_TOLERANCE) {
+      problems.push(`enabled families' weights sum to ${Number(total.toFixed(6))}, expected 1`);
+    }
+
+    for (const name of new Set([defaultProfile, ...Object.keys(profiles)])) {
+      const active = resolveFamilies(config, name).filter(f => f.count > 0 && f.weight > 0);
+      if (active.length === 0) problems.push(`profile "${name}" leaves no enabled family with models and weight`);
+    }
+  }
+
+  return problems;
+}
+
+function resolveFamilies(config, profileName) {
+  const profiles = config.profiles || {};
+  const overrides = (Object.hasOwn(profiles, profileName) ? profiles[profileName] : {}).families || {};
+
+  return Object.entries(config.families)
+    .map(([type, base]) => {
+      const override = overrides[type] || {};
+      return {
+        type,
+        enabled: override.enabled ?? base.enabled ?? true,
+        count: override.count ?? base.count,
+        weight: override.weight ?? base.weight,
+        params: { ...base.params, ...override.params },
+        regimes: override.regimes ?? base.regimes ?? null
+      };
+    })
+    .filter(family => family.enabled);
+}
+
+let shared = null;
+
+// Loads the ensemble definition from JSON or YAML and notices when the file changes.
+// A change that fails validation is reported and ignored; the last good config stays live.
+export class EnsembleConfig {
+  constructor(options = {}) {
+    this.path = options.path || DEFAULT_PATH;
+    this.checkInterval = options.checkInterval ?? 2000;
+    this.config = null;
+    this.mtimeMs = null;
+    this.version = 0;
+    this.lastCheck = 0;
+    this.lastError = null;
+  }
+
+  static shared() {
+    shared = shared || new EnsembleConfig();
+    return shared;
+  }
+
+  parse(contents) {
+    return /\.ya?ml$/i.test(this.path) ? YAML.parse(contents) : JSON.parse(contents);
+  }
+
+  load() {
+    const stat = fs.statSync(this.path);
+    const config = this.parse(fs.readFileSync(this.path, 'utf8'));
+    const problems = validateEnsembleConfig(config);
+    if (problems.length > 0) {
+      throw new Error(`Invalid ensemble config ${this.path}:\n  ${problems.join('\n  ')}`);
+    }
+
+    this.config = config;
+    this.mtimeMs = stat.mtimeMs;
+    this.version++;
+    this.lastError = null;
+    return config;
+  }
+
+  current() {
+    const now = Date.now();
+    if (this.config && now - this.lastCheck < this.checkInterval) return this.config;
+    this.lastCheck = now;
+
+    try {
+      if (!this.config || fs.statSync(this.path).mtimeMs !== this.mtimeMs) {
+        const reloading = Boolean(this.config);
+        this.load();
+        if (reloading) console.warn(`Reloaded ensemble config from ${this.path} (version ${this.version})`);
+      }
+    } catch (error) {
+      // Without any good config there is nothing to fall back to
+      if (!this.config) throw error;
+      if (this.lastError !== error.message) console.error(`Keeping previous ensemble config: ${error.message}`);
+      this.lastError = error.message;
+    }
+
+    return this.config;
+  }
+
+  defaultProfile() {
+    return this.current().defaultProfile || 'default';
+  }
+
+  hasProfile(name) {
+    const config = this.current();
+    // Own keys only, so names like toString or __proto__ don't pass as profiles
+    return name === this.defaultProfile() || Object.hasOwn(config.profiles || {}, name);
+  }
+
+  profiles() {
+    const config = this.current();
+    return Object.entries(config.profiles || {}).map(([name, profile]) => ({
+      name,
+      description: profile.description || null
+    }));
+  }
+
+  // The enabled families for a profile with its overrides applied
+  resolve(profile = this.defaultProfile()) {
+    if (!this.hasProfile(profile)) {
+      throw new Error(`Unknown profile "${profile}" (expected one of: ${this.profiles().map(p => p.name).join(', ')})`);
+    }
+    return { profile, version: this.version, families: resolveFamilies(this.current(), profile) };
+  }
+}
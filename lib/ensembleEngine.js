@@ -1,114 +1,120 @@
 import _ from 'lodash';
 import * as math from 'mathjs';
+import { DIGITS, COLORS, colorsOf } from './resultDecoder.js';
+import { PatternRecognizer } from '../utils/patternRecognizer.js';
+import { TrendAnalyzer } from '../utils/trendAnalyzer.js';
+import { EnsembleConfig, FAMILIES, STATISTICAL_METHODS, parameterValue } from './ensembleConfig.js';
+import { ModelRegistry } from './modelRegistry.js';
+import { FeatureStore } from './featureStore.js';
+
+// Explanations are served as JSON, which has no NaN or Infinity: a ratio over a zero
+// std or an empty window reads as null instead
+function finiteOrNull(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (Array.isArray(value)) return value.map(finiteOrNull);
+  if (value && typeof value === 'object') return _.mapValues(value, finiteOrNull);
+  return value;
+}
 
 export class EnsembleEngine {
-  constructor() {
+  // options.profile picks a preset from the ensemble config; options.config swaps in
+  // a different EnsembleConfig (e.g. a candidate file being tuned) and options.plugins
+  // a different ModelRegistry
+  constructor(options = {}) {
+    this.config = options.config || EnsembleConfig.shared();
+    this.plugins = options.plugins || ModelRegistry.shared();
+    // Per-model weight overrides (e.g. from AdaptiveWeights); models not listed keep their static weight
     this.modelWeights = {};
-    this.initializeModels();
+    this.initializeModels(options.profile);
   }
 
-  initializeModels() {
-    // Initialize 120 micro-models with different weights
+  initializeModels(profile) {
+    const resolved = this.config.resolve(profile);
+    this.profile = resolved.profile;
+    this.configVersion = resolved.version;
+    this.pluginVersion = this.plugins.version;
     this.models = [
-      // Trend Following Models (40%)
-      ...this.createTrendModels(48),
-      
-      // Mean Reversion Models (25%)
-      ...this.createMeanReversionModels(30),
-      
-      // Pattern Recognition Models (20%)
-      ...this.createPatternModels(24),
-      
-      // Statistical Arbitrage Models (15%)
-      ...this.createStatisticalModels(18)
+      ...resolved.families.flatMap(family => this.createFamilyModels(family)),
+      ...this.createPluginModels()
     ];
   }
 
-  createTrendModels(count) {
-    const models = [];
-    for (let i = 0; i < count; i++) {
-      const windowSize = 5 + (i % 15);
-      const threshold = 0.5 + (i * 0.01);
-      models.push({
-        type: 'TREND_FOLLOWING',
-        id: `TREND_${i}`,
-        weight: 0.4 / count,
-        window: windowSize,
-        threshold: threshold,
-        predict: (data) => this.trendFollowingPrediction(data, windowSize, threshold)
-      });
-    }
-    return models;
+  // Plugins registered when the engine is built join every profile's ensemble
+  createPluginModels() {
+    return this.plugins.models().map(model => ({
+      ...model,
+      predict: (data, features) => this.plugins.predict(model.id, data, features)
+    }));
   }
 
-  createMeanReversionModels(count) {
+  // Each model in a family gets an equal share of the family weight and the i-th point
+  // of every parameter grid. Ids stay <PREFIX>_<i> so learned weights carry across reloads.
+  createFamilyModels({ type, count, weight, params, regimes }) {
     const models = [];
     for (let i = 0; i < count; i++) {
-      const lookback = 10 + (i % 20);
-      const deviation = 1.0 + (i * 0.05);
-      models.push({
-        type: 'MEAN_REVERSION',
-        id: `MR_${i}`,
-        weight: 0.25 / count,
-        lookback: lookback,
-        deviation: deviation,
-        predict: (data) => this.meanReversionPrediction(data, lookback, deviation)
-      });
+      const model = { type, id: `${FAMILIES[type].prefix}_${i}`, weight: weight / count };
+      if (regimes) model.regimes = regimes;
+      for (const [name, spec] of Object.entries(params)) {
+        model[name] = parameterValue(spec, i);
+      }
+      // The statistical predictors switch on the method's index
+      if (type === 'STATISTICAL') model.method = STATISTICAL_METHODS.indexOf(model.method);
+
+      model.predict = (data, features, view) => this.familyPrediction(model, view);
+      models.push(model);
     }
     return models;
   }
 
-  createPatternModels(count) {
-    const models = [];
-    for (let i = 0; i < count; i++) {
-      const patternLength = 3 + (i % 7);
-      const confidence = 0.6 + (i * 0.02);
-      models.push({
-        type: 'PATTERN_RECOGNITION',
-        id: `PATTERN_${i}`,
-        weight: 0.2 / count,
-        patternLength: patternLength,
-        confidence: confidence,
-        predict: (data) => this.patternRecognitionPrediction(data, patternLength)
-      });
+  // Built-in models read the series through a FeatureStore view rather than the raw array
+  familyPrediction(model, view) {
+    switch (model.type) {
+      case 'TREND_FOLLOWING': return this.trendFollowingPrediction(view, model.window, model.threshold);
+      case 'MEAN_REVERSION': return this.meanReversionPrediction(view, model.lookback, model.deviation);
+      case 'PATTERN_RECOGNITION': return this.patternRecognitionPrediction(view, model.patternLength);
+      case 'STATISTICAL': return this.statisticalPrediction(view, model.method);
+      case 'SEQUENCE_PATTERN': return this.sequencePatternPrediction(view, model.lookback, model.reversalLength);
+      case 'TREND_ANALYSIS': return this.trendAnalysisPrediction(view, model.shortWindow, model.longWindow);
+      case 'VARIABLE_ORDER_MARKOV': return this.contextPrediction(view, model.alphabet, model.maxOrder);
+      default: throw new Error(`No predictor for model family ${model.type}`);
     }
-    return models;
   }
 
-  createStatisticalModels(count) {
-    const models = [];
-    for (let i = 0; i < count; i++) {
-      const method = i % 4;
-      models.push({
-        type: 'STATISTICAL',
-        id: `STAT_${i}`,
-        weight: 0.15 / count,
-        method: method,
-        predict: (data) => this.statisticalPrediction(data, method)
-      });
+  // view is a FeatureStore view of exactly historicalData. Replays pass one from a
+  // single store over the whole series; otherwise one is built for this call.
+  async runModels(historicalData, weights = this.modelWeights, view = FeatureStore.from(historicalData).view()) {
+    // Plugins that have failed sit out; the rest get the shared feature snapshot
+    const models = this.models.filter(model => !model.plugin || this.plugins.isHealthy(model.id));
+    let features = null;
+    if (models.some(model => model.plugin)) {
+      await this.plugins.prepare(historicalData);
+      features = view.memo('features', () => this.extractFeatures(historicalData));
     }
-    return models;
+
+    // Families conditioned on the regime scale their weight by its multiplier
+    const regime = models.some(model => model.regimes) ? this.currentRegime(view) : null;
+    const results = models.map(model => ({
+      modelId: model.id,
+      prediction: model.predict(historicalData, features, view),
+      weight: (weights[model.id] ?? model.weight) * ((model.regimes && model.regimes[regime]) ?? 1),
+      type: model.type
+    }));
+
+    // Built-in models vote synchronously; only plugin votes arrive as promises
+    await Promise.all(results
+      .filter(result => result.prediction instanceof Promise)
+      .map(async result => { result.prediction = await result.prediction; }));
+    return results;
   }
 
-  async predictNextOutcome(historicalData) {
-    // Extract numbers and outcomes
-    const numbers = historicalData.map(d => d.number);
-    const outcomes = historicalData.map(d => d.outcome);
-    
-    // Run all models in parallel
-    const predictions = await Promise.all(
-      this.models.map(async model => ({
-        modelId: model.id,
-        prediction: await model.predict(historicalData),
-        weight: model.weight,
-        type: model.type
-      }))
-    );
+  currentRegime(view) {
+    return view.memo('regime', () => TrendAnalyzer.classifyRegime([...view.outcomes(view.length)].reverse()).regime);
+  }
 
+  aggregateVotes(predictions) {
     // Aggregate predictions with weighted voting
     let bigVotes = 0;
     let smallVotes = 0;
-    const modelResults = [];
 
     predictions.forEach(p => {
       if (p.prediction === 'BIG') {
@@ -116,17 +122,31 @@ export class EnsembleEngine {
       } else if (p.prediction === 'SMALL') {
         smallVotes += p.weight;
       }
-      modelResults.push({
-        model: p.modelId,
-        prediction: p.prediction,
-        weight: p.weight
-      });
     });
 
-    // Calculate confidence
+    return {
+      bigVotes,
+      smallVotes,
+      outcome: bigVotes > smallVotes ? 'BIG' : 'SMALL'
+    };
+  }
+
+  async predictNextOutcome(historicalData, options = {}) {
+    const numbers = historicalData.map(d => d.number);
+    
+    const view = options.view || FeatureStore.from(historicalData).view();
+    const predictions = await this.runModels(historicalData, options.weights, view);
+    const { bigVotes, smallVotes, outcome } = this.aggregateVotes(predictions);
+    const modelResults = predictions.map(p => ({
+      model: p.modelId,
+      prediction: p.prediction,
+      weight: p.weight
+    }));
+
+    // Calculate confidence; when nothing voted (every model abstained or was left out,
+    // e.g. a plugin-only profile with every plugin unhealthy) it is an even split
     const totalVotes = bigVotes + smallVotes;
-    const confidence = Math.max(bigVotes, smallVotes) / totalVotes * 100;
-    const outcome = bigVotes > smallVotes ? 'BIG' : 'SMALL';
+    const confidence = totalVotes ? Math.max(bigVotes, smallVotes) / totalVotes * 100 : 50;
 
     // Determine trend direction
     const trend = this.analyzeTrend(numbers);
@@ -137,11 +157,16 @@ export class EnsembleEngine {
     return {
       outcome,
       confidence: confidence.toFixed(2),
+      // Share of the weighted vote that went to BIG; not a probability
+      bigVoteShare: totalVotes ? bigVotes / totalVotes : 0.5,
       modelCount: this.models.length,
       trendDirection: trend.direction,
       trendStrength: trend.strength,
       suggestedStake,
-      nextIssueTime: this.calculateNextIssueTime(),
+      nextIssueTime: options.nextIssueTime || this.calculateNextIssueTime(options.intervalSeconds),
+      features: view.memo('features', () => this.extractFeatures(historicalData)),
+      modelVotes: Object.fromEntries(modelResults.map(r => [r.model, r.prediction])),
+      explanation: options.explain ? this.explain(historicalData, predictions, options.hitRates, view) : null,
       modelBreakdown: {
         bigVotes: (bigVotes * 100).toFixed(2) + '%',
         smallVotes: (smallVotes * 100).toFixed(2) + '%',
@@ -150,32 +175,105 @@ export class EnsembleEngine {
     };
   }
 
-  trendFollowingPrediction(data, windowSize, threshold) {
-    if (data.length < windowSize + 1) return 'BIG'; // Default
-    
-    const recentNumbers = data.slice(0, windowSize).map(d => d.number);
-    const previousNumbers = data.slice(windowSize, windowSize * 2).map(d => d.number);
-    
-    const recentAvg = _.mean(recentNumbers);
-    const previousAvg = _.mean(previousNumbers);
+  // Distribution forecasts for the colour and exact-number targets. Size keeps
+  // using the voting ensemble in predictNextOutcome.
+  predictTarget(historicalData, target) {
+    const digitProbabilities = this.digitDistribution(historicalData);
+    let distribution;
+
+    if (target === 'number') {
+      distribution = DIGITS.map(digit => ({ value: digit, probability: digitProbabilities[digit] }));
+    } else if (target === 'color') {
+      // Colour bets overlap (0 and 5 also pay VIOLET), so these don't sum to 1
+      distribution = COLORS.map(color => ({
+        value: color,
+        probability: _.sum(DIGITS.filter(d => colorsOf(d).includes(color)).map(d => digitProbabilities[d]))
+      }));
+    } else {
+      throw new Error(`Unsupported prediction target "${target}"`);
+    }
+
+    distribution.forEach(d => {
+      d.count = historicalData.filter(row => target === 'number'
+        ? row.number === d.value
+        : colorsOf(row.number).includes(d.value)).length;
+    });
+
+    const best = _.maxBy(distribution, 'probability');
+    return {
+      target,
+      outcome: best.value,
+      probability: best.probability,
+      distribution: _.orderBy(distribution, 'probability', 'desc'),
+      samples: historicalData.length
+    };
+  }
+
+  digitDistribution(data, decay = 0.97, transitionWeight = 0.5) {
+    // Recency-weighted digit frequencies blended with first-order transitions
+    // out of the last drawn digit, both Laplace-smoothed
+    const frequency = Array(10).fill(1);
+    const transitions = Array(10).fill(1);
+
+    data.forEach((row, i) => {
+      frequency[row.number] += Math.pow(decay, i);
+    });
+
+    if (data.length > 0) {
+      const lastDigit = data[0].number;
+      for (let i = 1; i < data.length; i++) {
+        // data[i] was followed by data[i - 1]
+        if (data[i].number === lastDigit) transitions[data[i - 1].number]++;
+      }
+    }
+
+    const frequencyTotal = _.sum(frequency);
+    const transitionTotal = _.sum(transitions);
+    return DIGITS.map(d =>
+      (1 - transitionWeight) * frequency[d] / frequencyTotal + transitionWeight * transitions[d] / transitionTotal
+    );
+  }
+
+  // Each family's vote is read off a features object memoized on the view, keyed by
+  // the parameters it depends on: models sharing them share the work, and explain()
+  // reports exactly the values the vote was based on.
+  trendFollowingFeatures(view, windowSize) {
+    return view.memo(`trendFollowing:${windowSize}`, () => {
+      const recentAverage = view.mean(0, windowSize);
+      const previousAverage = view.mean(windowSize, windowSize);
+      return {
+        recentAverage,
+        previousAverage,
+        trendStrength: (recentAverage - previousAverage) / previousAverage,
+        momentum: view.length >= windowSize ? view.number(0) - view.number(windowSize - 1) : null
+      };
+    });
+  }
+
+  trendFollowingPrediction(view, windowSize, threshold) {
+    if (view.length < windowSize + 1) return 'BIG'; // Default
     
-    const trendStrength = (recentAvg - previousAvg) / previousAvg;
+    const { trendStrength, momentum } = this.trendFollowingFeatures(view, windowSize);
     
     if (Math.abs(trendStrength) > threshold) {
       return trendStrength > 0 ? 'BIG' : 'SMALL';
     }
     
     // If weak trend, use momentum
-    const momentum = recentNumbers[0] - recentNumbers[recentNumbers.length - 1];
     return momentum > 0 ? 'BIG' : 'SMALL';
   }
 
-  meanReversionPrediction(data, lookback, deviation) {
-    const numbers = data.slice(0, lookback).map(d => d.number);
-    const mean = _.mean(numbers);
-    const std = math.std(numbers);
-    const current = numbers[0];
-    const zScore = (current - mean) / std;
+  meanReversionFeatures(view, lookback) {
+    return view.memo(`meanReversion:${lookback}`, () => {
+      const mean = view.mean(0, lookback);
+      const std = view.std(0, lookback);
+      const current = view.number(0);
+      return { current, mean, std, zScore: (current - mean) / std, shortAverage: view.mean(0, 3) };
+    });
+  }
+
+  meanReversionPrediction(view, lookback, deviation) {
+    const { mean, zScore, shortAverage } = this.meanReversionFeatures(view, lookback);
     
     if (zScore > deviation) {
       return 'SMALL'; // Expect reversion down
@@ -184,70 +282,199 @@ export class EnsembleEngine {
     }
     
     // Near mean, follow short-term trend
-    const shortTerm = numbers.slice(0, 3);
-    const shortAvg = _.mean(shortTerm);
-    return shortAvg >= mean ? 'BIG' : 'SMALL';
+    return shortAverage >= mean ? 'BIG' : 'SMALL';
   }
 
-  patternRecognitionPrediction(data, patternLength) {
-    if (data.length < patternLength * 2) return 'BIG';
-    
-    const recentPattern = data.slice(0, patternLength).map(d => d.outcome);
-    
-    // Look for similar patterns in history
-    let bigPatterns = 0;
-    let smallPatterns = 0;
-    
-    for (let i = patternLength; i < Math.min(data.length, 50); i++) {
-      const historicalPattern = data.slice(i, i + patternLength).map(d => d.outcome);
-      
-      if (this.patternsMatch(recentPattern, historicalPattern)) {
-        const nextOutcome = data[i - 1].outcome;
-        if (nextOutcome === 'BIG') bigPatterns++;
-        else smallPatterns++;
+  // Depends only on the pattern length, so models sharing one share the scan
+  patternRecognitionFeatures(view, patternLength) {
+    return view.memo(`pattern:${patternLength}`, () => {
+      const pattern = view.outcomes(patternLength);
+
+      // Look for similar patterns in history
+      let bigMatches = 0;
+      let smallMatches = 0;
+
+      for (let i = patternLength; i < Math.min(view.length, 50); i++) {
+        if (i + patternLength > view.length) continue;
+        if (pattern.every((outcome, k) => view.outcome(i + k) === outcome)) {
+          const nextOutcome = view.outcome(i - 1);
+          if (nextOutcome === 'BIG') bigMatches++;
+          else smallMatches++;
+        }
       }
-    }
-    
-    if (bigPatterns + smallPatterns === 0) {
-      return this.trendFollowingPrediction(data, 5, 0.3);
-    }
-    
-    return bigPatterns > smallPatterns ? 'BIG' : 'SMALL';
+
+      return { pattern, bigMatches, smallMatches };
+    });
   }
 
-  patternsMatch(pattern1, pattern2) {
-    if (pattern1.length !== pattern2.length) return false;
-    for (let i = 0; i < pattern1.length; i++) {
-      if (pattern1[i] !== pattern2[i]) return false;
+  patternRecognitionPrediction(view, patternLength) {
+    if (view.length < patternLength * 2) return 'BIG';
+
+    const { bigMatches, smallMatches } = this.patternRecognitionFeatures(view, patternLength);
+    if (bigMatches + smallMatches === 0) {
+      return this.trendFollowingPrediction(view, 5, 0.3);
     }
-    return true;
+
+    return bigMatches > smallMatches ? 'BIG' : 'SMALL';
   }
 
-  statisticalPrediction(data, method) {
-    const numbers = data.slice(0, 20).map(d => d.number);
-    
-    switch(method) {
+  statisticalFeatures(view, method) {
+    return view.memo(`statistical:${method}`, () => {
+      const numbers = view.numbers(20);
+
+      switch (method) {
+        case 0: return { current: numbers[0], ema: this.calculateEMA(numbers, 0.3) };
+        case 1: return { rsi: this.calculateRSI(numbers, 14) };
+        case 2: return { fibonacciLevel: this.fibonacciLevel(numbers) };
+        case 3: return { bollingerPosition: this.bollingerPosition(numbers) };
+        default: return {};
+      }
+    });
+  }
+
+  statisticalPrediction(view, method) {
+    const features = this.statisticalFeatures(view, method);
+
+    switch (method) {
       case 0: // Exponential Moving Average
-        const ema = this.calculateEMA(numbers, 0.3);
-        return numbers[0] > ema ? 'BIG' : 'SMALL';
-        
+        return features.current > features.ema ? 'BIG' : 'SMALL';
+
       case 1: // RSI-like logic
-        const rsi = this.calculateRSI(numbers, 14);
-        return rsi > 50 ? 'BIG' : 'SMALL';
-        
+        return features.rsi > 50 ? 'BIG' : 'SMALL';
+
       case 2: // Fibonacci retracement
-        const fibLevel = this.fibonacciLevel(numbers);
-        return fibLevel > 0.5 ? 'BIG' : 'SMALL';
-        
+        return features.fibonacciLevel > 0.5 ? 'BIG' : 'SMALL';
+
       case 3: // Bollinger Bands
-        const bbPosition = this.bollingerPosition(numbers);
-        return bbPosition > 0 ? 'BIG' : 'SMALL';
-        
+        return features.bollingerPosition > 0 ? 'BIG' : 'SMALL';
+
       default:
         return 'BIG';
     }
   }
 
+  sequencePatternFeatures(view, lookback) {
+    return view.memo(`sequences:${lookback}`, () => {
+      const patterns = PatternRecognizer.analyzeSequences(view.outcomes(lookback));
+      return {
+        alternating: patterns.alternating,
+        cycle: patterns.cycles[0] || null,
+        streak: patterns.streaks[0] || null,
+        patterns
+      };
+    });
+  }
+
+  sequencePatternPrediction(view, lookback, reversalLength) {
+    const { patterns } = this.sequencePatternFeatures(view, lookback);
+    const prediction = PatternRecognizer.predictNextFromPatterns(patterns, view.outcomes(lookback), { reversalLength });
+    
+    // No clear pattern, fall back to short-term trend
+    return prediction || this.trendFollowingPrediction(view, 5, 0.3);
+  }
+
+  trendAnalysisFeatures(view, shortWindow, longWindow) {
+    return view.memo(`trendAnalysis:${shortWindow}:${longWindow}`, () =>
+      TrendAnalyzer.calculateTrendStrength(view.numbers(longWindow), shortWindow, longWindow));
+  }
+
+  trendAnalysisPrediction(view, shortWindow, longWindow) {
+    return view.memo(`trendAnalysisVote:${shortWindow}:${longWindow}`, () =>
+      TrendAnalyzer.predictNextWithTrend(view.numbers(longWindow), this.trendAnalysisFeatures(view, shortWindow, longWindow)).prediction);
+  }
+
+  extractFeatures(historicalData) {
+    // Snapshot of what the PatternRecognizer and TrendAnalyzer families are seeing
+    const outcomes = historicalData.slice(0, 20).map(d => d.outcome);
+    const numbers = historicalData.map(d => d.number);
+    const patterns = PatternRecognizer.analyzeSequences(outcomes);
+    const currentStreak = patterns.streaks[0] || { type: null, length: 0 };
+
+    return {
+      alternating: patterns.alternating,
+      currentCycle: patterns.cycles[0] || null,
+      streakType: currentStreak.type,
+      streakLength: currentStreak.length,
+      supportResistance: TrendAnalyzer.detectSupportResistance(numbers.slice(0, 50)),
+      volatility: TrendAnalyzer.calculateVolatility(numbers),
+      trend: TrendAnalyzer.calculateTrendStrength(numbers),
+      regime: _.pick(TrendAnalyzer.classifyRegime(historicalData.map(d => d.outcome).reverse()), ['regime', 'probabilities'])
+    };
+  }
+
+  // Votes the likelier size under the context model's next-symbol forecast; colour and
+  // digit forecasts are folded into sizes first. An even split abstains.
+  contextPrediction(view, alphabet, maxOrder) {
+    const { bigProbability } = view.forecast(alphabet, maxOrder);
+    return bigProbability > 0.5 ? 'BIG' : bigProbability < 0.5 ? 'SMALL' : null;
+  }
+
+  // The alphabets this engine's context models read, so their stores can be pretrained
+  contextAlphabets() {
+    return _.uniq(this.models.filter(model => model.type === 'VARIABLE_ORDER_MARKOV').map(model => model.alphabet));
+  }
+
+  // Opt-in breakdown of a prediction: every model's parameters, vote, weight and
+  // recent hit rate, plus per-family vote totals and the inputs each family saw
+  explain(historicalData, predictions, hitRates = {}, view = FeatureStore.from(historicalData).view()) {
+    const modelsById = _.keyBy(this.models, 'id');
+    const families = {};
+
+    const models = predictions.map(p => {
+      const model = modelsById[p.modelId];
+      const featureKey = this.featureKey(model);
+      const family = families[p.type] = families[p.type] || {
+        models: 0, bigVotes: 0, smallVotes: 0, features: {}
+      };
+
+      family.models++;
+      if (p.prediction === 'BIG') family.bigVotes += p.weight;
+      else if (p.prediction === 'SMALL') family.smallVotes += p.weight;
+      if (!family.features[featureKey]) {
+        family.features[featureKey] = finiteOrNull(this.modelFeatures(model, view));
+      }
+
+      return {
+        model: p.modelId,
+        family: p.type,
+        parameters: _.omit(model, ['id', 'type', 'weight', 'plugin', 'predict', 'regimes']),
+        vote: p.prediction,
+        weight: p.weight,
+        hitRate: hitRates[p.modelId] ?? null,
+        featureKey
+      };
+    });
+
+    return { models, families };
+  }
+
+  featureKey(model) {
+    switch (model.type) {
+      case 'TREND_FOLLOWING': return `window=${model.window}`;
+      case 'MEAN_REVERSION': return `lookback=${model.lookback}`;
+      case 'PATTERN_RECOGNITION': return `patternLength=${model.patternLength}`;
+      case 'STATISTICAL': return `method=${STATISTICAL_METHODS[model.method]}`;
+      case 'SEQUENCE_PATTERN': return `lookback=${model.lookback}`;
+      case 'TREND_ANALYSIS': return `shortWindow=${model.shortWindow},longWindow=${model.longWindow}`;
+      case 'VARIABLE_ORDER_MARKOV': return `alphabet=${model.alphabet},maxOrder=${model.maxOrder}`;
+      default: return model.id;
+    }
+  }
+
+  // The intermediate values a model's vote was based on, from the view that produced it
+  modelFeatures(model, view) {
+    switch (model.type) {
+      case 'TREND_FOLLOWING': return this.trendFollowingFeatures(view, model.window);
+      case 'MEAN_REVERSION': return this.meanReversionFeatures(view, model.lookback);
+      case 'PATTERN_RECOGNITION': return this.patternRecognitionFeatures(view, model.patternLength);
+      case 'STATISTICAL': return this.statisticalFeatures(view, model.method);
+      case 'SEQUENCE_PATTERN': return _.omit(this.sequencePatternFeatures(view, model.lookback), 'patterns');
+      case 'TREND_ANALYSIS': return this.trendAnalysisFeatures(view, model.shortWindow, model.longWindow);
+      case 'VARIABLE_ORDER_MARKOV': return view.forecast(model.alphabet, model.maxOrder);
+      default: return {};
+    }
+  }
+
   calculateEMA(numbers, alpha) {
     let ema = numbers[0];
     for (let i = 1; i < numbers.length; i++) {
@@ -338,10 +565,10 @@ export class EnsembleEngine {
     }
   }
 
-  calculateNextIssueTime() {
-    // WinGo 1M draws every minute
-    const now = new Date();
-    now.setSeconds(now.getSeconds() + 60);
-    return now.toISOString();
+  calculateNextIssueTime(intervalSeconds = 60) {
+    // Draws close on interval boundaries, so the next one is the next boundary after now.
+    // Callers that know the issue schedule pass nextIssueTime from the issue clock instead.
+    const intervalMs = intervalSeconds * 1000;
+    return new Date(Math.floor(Date.now() / intervalMs + 1) * intervalMs).toISOString();
   }
   }
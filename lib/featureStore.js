@@ -0,0 +1,183 @@
+import { VariableOrderMarkov } from './variableOrderMarkov.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+
+// Running totals over one draw series, so the micro-models stop re-slicing and
+// re-summing the same history. The store keeps the draws oldest first with prefix sums
+// of the numbers and their squares: appending a new issue costs O(1), and any window's
+// mean or standard deviation is two subtractions away. A view is the series as the
+// models see it at one point in time, most recent first like DataFetcher's output, and
+// caches whatever the models compute from it (EMA, RSI, pattern scans) so models that
+// share a parameter share the work.
+export class FeatureStore {
+  constructor(options = {}) {
+    // Kept at least this deep; the store compacts once it holds twice as many
+    this.capacity = options.capacity || 2000;
+    // How many archived draws pretrain() reads; it runs in the request path
+    this.pretrainLimit = options.pretrainLimit ?? (parseInt(process.env.WINGO_PRETRAIN_DRAWS) || 20000);
+    // Context models per alphabet; they keep counting across resets and compaction
+    this.contextModels = new Map();
+    this.reset([]);
+  }
+
+  // draws are most recent first, as DataFetcher returns them
+  static from(draws, options) {
+    return new FeatureStore(options).sync(draws);
+  }
+
+  get length() {
+    return this.draws.length;
+  }
+
+  reset(chronological) {
+    this.draws = [];
+    this.sums = [0];
+    this.squares = [0];
+    for (const draw of chronological) this.append(draw);
+  }
+
+  append(draw) {
+    const n = this.draws.length;
+    this.draws.push(draw);
+    this.sums.push(this.sums[n] + draw.number);
+    this.squares.push(this.squares[n] + draw.number * draw.number);
+  }
+
+  // Brings the store up to date with a fresh fetch (most recent first). Issues newer
+  // than the last one seen are appended; if the window no longer lines up with what the
+  // store holds (a back-filled gap, another game's feed) it is rebuilt from the window.
+  sync(draws) {
+    const latest = this.length ? String(this.draws[this.length - 1].issue) : null;
+    const known = latest === null ? -1 : draws.findIndex(draw => String(draw.issue) === latest);
+
+    if (known === -1) {
+      this.reset([...draws].reverse());
+      return this;
+    }
+
+    for (let i = known - 1; i >= 0; i--) this.append(draws[i]);
+    if (!this.endsWith(draws)) {
+      this.reset([...draws].reverse());
+    } else if (this.length > this.capacity * 2) {
+      this.reset(this.draws.slice(-this.capacity));
+    }
+    return this;
+  }
+
+  endsWith(draws) {
+    if (draws.length > this.length) return false;
+    return draws.every((draw, i) => {
+      const held = this.draws[this.length - 1 - i];
+      return String(held.issue) === String(draw.issue) && held.number === draw.number;
+    });
+  }
+
+  // Seeds the context models for `alphabets` with a DrawArchive's most recent draws the
+  // first time they are needed; views then bring them up to date with the store's draws
+  async pretrain(alphabets, archive, limit = this.pretrainLimit) {
+    const missing = alphabets.filter(alphabet => !this.contextModels.has(alphabet));
+    if (missing.length === 0 || !archive) return this;
+
+    const history = (await archive.query({ limit })).reverse();
+    for (const alphabet of missing) {
+      const model = new VariableOrderMarkov(alphabet).train(history);
+      model.pretrained = true;
+      this.contextModels.set(alphabet, model);
+    }
+    return this;
+  }
+
+  // The alphabet's context model, trained on every draw before chronological position
+  // `end`. Replays only move forward, so this normally just counts the newer draws; a
+  // view further back makes it relearn from the store, unless it was pretrained, since
+  // the archive it learnt from is not the store's to replay.
+  contextModel(alphabet, end = this.length) {
+    if (!this.contextModels.has(alphabet)) this.contextModels.set(alphabet, new VariableOrderMarkov(alphabet));
+    const model = this.contextModels.get(alphabet);
+    if (end === 0 || model.lastIssue === null) return model.train(this.draws.slice(0, end));
+
+    if (IssueNumbers.compare(this.draws[end - 1].issue, model.lastIssue) < 0) {
+      if (model.pretrained) return model;
+      model.reset();
+      return model.train(this.draws.slice(0, end));
+    }
+
+    let from = end;
+    while (from > 0 && IssueNumbers.compare(this.draws[from - 1].issue, model.lastIssue) > 0) from--;
+    return model.train(this.draws.slice(from, end));
+  }
+
+  // The series just before chronological position `end`, at most `depth` draws deep
+  view(end = this.length, depth = end) {
+    return new FeatureView(this, end, Math.min(depth, end));
+  }
+}
+
+class FeatureView {
+  constructor(store, end, length) {
+    this.store = store;
+    this.end = end;
+    this.length = length;
+    this.cache = new Map();
+  }
+
+  // offset 0 is the most recent draw in the view
+  at(offset) {
+    return this.store.draws[this.end - 1 - offset];
+  }
+
+  number(offset) {
+    return this.at(offset).number;
+  }
+
+  outcome(offset) {
+    return this.at(offset).outcome;
+  }
+
+  // How many of the `count` draws starting `from` back actually exist in the view
+  span(from, count) {
+    return Math.max(0, Math.min(count, this.length - from));
+  }
+
+  total(prefix, from, count) {
+    const upper = this.end - from;
+    return prefix[upper] - prefix[upper - this.span(from, count)];
+  }
+
+  // NaN over an empty span, like _.mean([])
+  mean(from, count) {
+    const n = this.span(from, count);
+    return n ? this.total(this.store.sums, from, n) / n : NaN;
+  }
+
+  // Sample standard deviation, as math.std computes it
+  std(from, count) {
+    const n = this.span(from, count);
+    if (n < 2) return 0;
+    const sum = this.total(this.store.sums, from, n);
+    const squares = this.total(this.store.squares, from, n);
+    // The numbers are digits, so n * squares - sum^2 is an exact integer
+    return Math.sqrt(Math.max(0, n * squares - sum * sum) / (n * (n - 1)));
+  }
+
+  numbers(count) {
+    return this.memo(`numbers:${count}`, () =>
+      Array.from({ length: this.span(0, count) }, (value, i) => this.number(i)));
+  }
+
+  outcomes(count) {
+    return this.memo(`outcomes:${count}`, () =>
+      Array.from({ length: this.span(0, count) }, (value, i) => this.outcome(i)));
+  }
+
+  // Next-symbol forecast from the store's context model, which has seen every draw up
+  // to this view's latest but none after it
+  forecast(alphabet, maxOrder) {
+    return this.memo(`forecast:${alphabet}:${maxOrder}`, () => this.store.contextModel(alphabet, this.end)
+      .forecast(this.numbers(this.span(0, maxOrder)), maxOrder));
+  }
+
+  memo(key, compute) {
+    if (!this.cache.has(key)) this.cache.set(key, compute());
+    return this.cache.get(key);
+  }
+}
@@ -0,0 +1,40 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Vercel only allows writes under /tmp; everywhere else keep data next to the project
+export const DEFAULT_DIRECTORY = process.env.WINGO_DATA_DIR ||
+  (process.env.VERCEL ? '/tmp/wingo' : path.join(process.cwd(), '.data'));
+
+export class FileStore {
+  constructor(name, directory = DEFAULT_DIRECTORY) {
+    this.filePath = path.join(directory, `${name}.json`);
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async read(fallback = null) {
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`File store read failed (${this.filePath}):`, error.message);
+      }
+      return fallback;
+    }
+  }
+
+  async write(data) {
+    // Serialize writes and swap the file in atomically so readers never see half a document
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data));
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        console.warn(`File store write failed (${this.filePath}):`, error.message);
+      }
+    });
+    return this.pendingWrite;
+  }
+}
@@ -0,0 +1,18 @@
+// WinGo intervals we support. `code` is the upstream path segment and
+// `issueCode` the game marker embedded in issue numbers after the date prefix.
+export const GAMES = {
+  '30S': { id: '30S', code: 'WinGo_30S', issueCode: '10005', intervalSeconds: 30 },
+  '1M': { id: '1M', code: 'WinGo_1M', issueCode: '10001', intervalSeconds: 60 },
+  '3M': { id: '3M', code: 'WinGo_3M', issueCode: '10002', intervalSeconds: 180 },
+  '5M': { id: '5M', code: 'WinGo_5M', issueCode: '10003', intervalSeconds: 300 },
+  '10M': { id: '10M', code: 'WinGo_10M', issueCode: '10004', intervalSeconds: 600 }
+};
+
+export const DEFAULT_GAME = '1M';
+
+// Accepts "1M", "1m", "WinGo_1M" or nothing (the default game); returns null when unknown
+export function resolveGame(value) {
+  if (!value) return GAMES[DEFAULT_GAME];
+  const id = String(value).toUpperCase().replace(/^WINGO_/, '');
+  return GAMES[id] || null;
+}
@@ -0,0 +1,121 @@
+import { GAMES, DEFAULT_GAME } from './games.js';
+
+const DAY_MS = 86400000;
+
+// Issue numbers read <YYYYMMDD><game code><4-digit sequence>. Sequence 1 covers the
+// first interval of the game day and closes one interval after midnight, so an
+// issue's close time follows from its number alone. The game day starts at
+// midnight in WINGO_TZ_OFFSET_MINUTES (minutes east of UTC, default 0).
+export class IssueClock {
+  constructor(game = GAMES[DEFAULT_GAME], options = {}) {
+    this.game = game;
+    this.intervalMs = game.intervalSeconds * 1000;
+    this.issuesPerDay = DAY_MS / this.intervalMs;
+    this.offsetMs = (options.offsetMinutes ?? (parseInt(process.env.WINGO_TZ_OFFSET_MINUTES) || 0)) * 60000;
+    this.clock = options.clock || (() => Date.now());
+  }
+
+  parse(issue) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d*?)(\d{4})$/.exec(String(issue));
+    if (!match) return null;
+
+    const [, year, month, day, code, sequence] = match;
+    return {
+      dayStart: Date.UTC(Number(year), Number(month) - 1, Number(day)) - this.offsetMs,
+      code: code || this.game.issueCode,
+      sequence: Number(sequence)
+    };
+  }
+
+  format(dayStart, code, sequence) {
+    const local = new Date(dayStart + this.offsetMs);
+    const date = local.toISOString().slice(0, 10).replace(/-/g, '');
+    return `${date}${code}${String(sequence).padStart(4, '0')}`;
+  }
+
+  closeTime(issue) {
+    const parsed = this.parse(issue);
+    return parsed ? new Date(parsed.dayStart + parsed.sequence * this.intervalMs) : null;
+  }
+
+  // The issue open for betting at a given time (the one that closes next)
+  issueAt(time = this.clock()) {
+    const local = new Date(time + this.offsetMs);
+    const dayStart = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - this.offsetMs;
+    const sequence = Math.floor((time - dayStart) / this.intervalMs) + 1;
+    return this.format(dayStart, this.game.issueCode, sequence);
+  }
+
+  // Close times (epoch ms) of the first and last issue of a YYYY-MM-DD game day
+  dayBounds(date) {
+    const dayStart = Date.parse(`${date}T00:00:00Z`) - this.offsetMs;
+    return { since: dayStart + this.intervalMs, until: dayStart + DAY_MS };
+  }
+
+  next(issue) {
+    return this.offset(issue, 1);
+  }
+
+  // Steps an issue forward (or back) by a number of draws, rolling over game days
+  offset(issue, steps) {
+    const parsed = this.parse(issue);
+    if (!parsed) return null;
+
+    const index = parsed.sequence - 1 + steps;
+    const dayShift = Math.floor(index / this.issuesPerDay);
+    const sequence = index - dayShift * this.issuesPerDay + 1;
+    return this.format(parsed.dayStart + dayShift * DAY_MS, parsed.code, sequence);
+  }
+
+  // Number of draws from a to b (positive when b is later)
+  distance(a, b) {
+    const from = this.parse(a);
+    const to = this.parse(b);
+    if (!from || !to) return null;
+    return Math.round((to.dayStart - from.dayStart) / this.intervalMs) + (to.sequence - from.sequence);
+  }
+
+  // draws are most recent first; returns every issue missing between them
+  findGaps(draws, maxMissing = 1000) {
+    const gaps = [];
+
+    for (let i = 1; i < draws.length; i++) {
+      const steps = this.distance(draws[i].issue, draws[i - 1].issue);
+      if (steps === null || steps <= 1) continue;
+
+      const missing = [];
+      for (let k = 1; k < steps && missing.length < maxMissing; k++) {
+        missing.push(this.offset(draws[i].issue, k));
+      }
+      gaps.push({ after: draws[i].issue, before: draws[i - 1].issue, missing });
+    }
+
+    return gaps;
+  }
+
+  // How far the feed is from where the schedule says it should be. Also compares
+  // any draw times the upstream sent against the times implied by issue numbers.
+  drift(draws, now = this.clock()) {
+    if (draws.length === 0) return null;
+
+    const latest = draws[0].issue;
+    const expectedLatest = this.offset(this.issueAt(now), -1);
+    const closedAt = this.closeTime(latest);
+
+    const reported = draws.filter(d => d.timeSource === 'payload');
+    const offsets = reported
+      .map(d => Date.parse(d.timestamp) - (this.closeTime(d.issue) || NaN))
+      .filter(Number.isFinite);
+
+    return {
+      latestIssue: latest,
+      expectedLatestIssue: expectedLatest,
+      issuesBehind: this.distance(latest, expectedLatest),
+      secondsSinceClose: closedAt ? (now - closedAt.getTime()) / 1000 : null,
+      payloadSamples: offsets.length,
+      payloadDriftSeconds: offsets.length
+        ? offsets.reduce((sum, value) => sum + value, 0) / offsets.length / 1000
+        : null
+    };
+  }
+}
@@ -0,0 +1,172 @@
+import { DataFetcher } from './dataFetcher.js';
+import { PredictionService } from './predictionService.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+
+const feeds = new Map();
+
+// Event ids are "<issue>:<step>" so they sort in the order events happen: the forecast
+// for an issue (step 0), its draw (1), then its settlement (2). Because every event can
+// be rebuilt from the draw window and the ledger, any instance can resume a stream.
+const STEPS = { prediction: 0, draw: 1, settlement: 2 };
+
+export function compareEventIds(a, b) {
+  const [issueA, stepA] = String(a).split(':');
+  const [issueB, stepB] = String(b).split(':');
+  return IssueNumbers.compare(issueA, issueB) || Number(stepA) - Number(stepB);
+}
+
+// Polls one game's feed while anyone is listening and turns each new draw into
+// draw, settlement and prediction events. All subscribers share the one poll, so the
+// models run once per draw however many clients are connected.
+export class LiveFeed {
+  constructor(options = {}) {
+    this.game = options.game;
+    this.dataFetcher = options.dataFetcher || DataFetcher.forGame(this.game);
+    this.service = options.service || PredictionService.shared();
+    this.pollMs = (options.pollSeconds || parseFloat(process.env.WINGO_STREAM_POLL_SECONDS) || 3) * 1000;
+    this.listeners = new Set();
+    this.lastIssue = null;
+    this.timer = null;
+    this.pending = null;
+  }
+
+  static forGame(game) {
+    if (!feeds.has(game.id)) {
+      feeds.set(game.id, new LiveFeed({ game }));
+    }
+    return feeds.get(game.id);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.pollMs);
+    }
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    };
+  }
+
+  event(type, issue, data) {
+    return { id: `${issue}:${STEPS[type]}`, type, data: { game: this.game.id, ...data } };
+  }
+
+  drawEvent(draw) {
+    return this.event('draw', draw.issue, {
+      issue: draw.issue,
+      number: draw.number,
+      outcome: draw.outcome,
+      color: draw.colors.join('+'),
+      result: draw.result,
+      drawn_at: draw.timestamp
+    });
+  }
+
+  predictionEvent(entry) {
+    const closesAt = this.dataFetcher.issueClock.closeTime(entry.issue);
+    return this.event('prediction', entry.issue, {
+      issue: entry.issue,
+      outcome: entry.prediction,
+      confidence: `${entry.confidence.toFixed(2)}%`,
+      vote_share: {
+        big: `${(entry.bigShare * 100).toFixed(2)}%`,
+        small: `${((1 - entry.bigShare) * 100).toFixed(2)}%`
+      },
+      closes_at: closesAt && closesAt.toISOString(),
+      predicted_at: entry.predictedAt
+    });
+  }
+
+  settlementEvent(entry) {
+    return this.event('settlement', entry.issue, {
+      issue: entry.issue,
+      prediction: entry.prediction,
+      outcome: entry.outcome,
+      number: entry.number,
+      result: entry.result,
+      confidence: `${entry.confidence.toFixed(2)}%`,
+      settled_at: entry.settledAt
+    });
+  }
+
+  // Fetches, and when an issue has been drawn since the last poll, runs one prediction cycle
+  async refresh() {
+    const data = await this.dataFetcher.fetchHistoricalData();
+    const quality = this.dataFetcher.quality;
+    if (data.length < 50 || (quality && !quality.acceptable)) return null;
+
+    const latest = data[0].issue;
+    const fresh = this.lastIssue
+      ? data.filter(d => IssueNumbers.compare(d.issue, this.lastIssue) > 0).reverse()
+      : [];
+    if (this.lastIssue && fresh.length === 0) return { data, events: [] };
+
+    const { entry } = await this.service.cycle(this.game, data);
+    this.lastIssue = latest;
+
+    // Read back from the ledger rather than taken from the cycle's own claims: /api/predict
+    // or another instance may have settled an issue first, and its clients still need it
+    const settled = await this.service.ledgerFor(this.game).lookup(fresh.map(draw => draw.issue));
+
+    const events = [
+      ...fresh.map(draw => this.drawEvent(draw)),
+      ...settled.filter(e => e.settledAt).map(settledEntry => this.settlementEvent(settledEntry)),
+      ...(entry ? [this.predictionEvent(entry)] : [])
+    ].sort((a, b) => compareEventIds(a.id, b.id));
+
+    return { data, events, entry };
+  }
+
+  // Concurrent callers share one in-flight poll; its events go to every listener
+  poll() {
+    if (!this.pending) {
+      this.pending = this.refresh()
+        .then(update => {
+          for (const event of update ? update.events : []) {
+            for (const listener of this.listeners) listener(event);
+          }
+          return update;
+        })
+        .catch(error => {
+          console.error('Live feed poll failed:', error);
+          return null;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  // What a client that just connected needs: everything after lastEventId that the
+  // draw window and ledger still cover, or just the current forecast for a new client
+  async backlog(lastEventId, maxEvents = 500) {
+    const update = await this.poll();
+    if (!update) return [];
+
+    const entries = await this.service.ledgerFor(this.game).getEntries();
+    if (!lastEventId) {
+      const target = this.dataFetcher.issueClock.next(update.data[0].issue);
+      const current = entries.find(e => e.issue === target);
+      return current ? [this.predictionEvent(current)] : [];
+    }
+
+    const oldest = update.data[update.data.length - 1].issue;
+    const events = [
+      ...update.data.map(draw => this.drawEvent(draw)),
+      ...entries
+        .filter(e => IssueNumbers.compare(e.issue, oldest) >= 0)
+        .flatMap(e => e.settledAt ? [this.predictionEvent(e), this.settlementEvent(e)] : [this.predictionEvent(e)])
+    ];
+
+    return events
+      .filter(event => compareEventIds(event.id, lastEventId) > 0)
+      .sort((a, b) => compareEventIds(a.id, b.id))
+      .slice(-maxEvents);
+  }
+}
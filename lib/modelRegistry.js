@@ -0,0 +1,337 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { FAMILIES } from './ensembleConfig.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+
+const DEFAULT_DIRECTORY = process.env.WINGO_PLUGIN_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'plugins');
+
+const PARAM_TYPES = ['integer', 'number', 'string', 'boolean'];
+// Params sit on the ensemble model next to these, as a built-in family's do
+const RESERVED_PARAMS = ['id', 'type', 'weight', 'plugin', 'predict', 'regimes'];
+const BUILT_IN_ID = new RegExp(`^(${Object.values(FAMILIES).map(f => f.prefix).join('|')})_\\d+$`);
+
+let shared = null;
+
+// A plugin is a plain object, or a function returning one (the default export of a
+// file in plugins/, or passed to register()):
+//
+//   id        unique model id, e.g. 'DIGIT_FREQUENCY'
+//   family    the family it votes and is reported under
+//   weight    prior weight alongside the built-in families (default 0.05)
+//   params    { name: { type: integer|number|string|boolean, default, min, max, values } }
+//             named anything but id, type, weight, plugin, predict or regimes
+//   predict(data, features, params)  'BIG' | 'SMALL', or the probability of BIG;
+//             0.5 abstains. data is most recent first, features is extractFeatures(data),
+//             whose regime lets a plugin condition its vote the way families do
+//   train(data, params)              optional, once before the first prediction
+//   update(result, params)           optional, per settled issue with
+//                                    { issue, outcome, number, vote, hit }
+//
+// A plugin with train or update keeps state, so it must come as a factory: each
+// registry calls it for an instance of its own. That is what lets fork() give a replay
+// fresh copies, trained on the replayed window, whose failures stay out of live runs.
+//
+// Every call into a plugin is guarded: a throw, an invalid answer or a call over its
+// time budget marks the plugin unhealthy and the ensemble carries on without it. Only
+// an async plugin can be cut off at the deadline; synchronous code can't be interrupted,
+// so a slow synchronous call is caught once it returns, and one that never returns
+// blocks the request. Keep heavy work in train, or behind a promise.
+export class ModelRegistry {
+  constructor(options = {}) {
+    this.directory = options.directory === undefined ? DEFAULT_DIRECTORY : options.directory;
+    this.timeoutMs = options.timeoutMs ?? (parseInt(process.env.WINGO_PLUGIN_TIMEOUT_MS) || 250);
+    this.trainTimeoutMs = options.trainTimeoutMs ?? this.timeoutMs * 20;
+    // An unhealthy plugin gets another chance after this long
+    this.retryAfterMs = options.retryAfterMs ??
+      (parseFloat(process.env.WINGO_PLUGIN_RETRY_SECONDS) || 600) * 1000;
+    this.entries = new Map();
+    this.rejected = [];
+    this.version = 0;
+    this.ready = this.directory ? this.loadDirectory(this.directory) : Promise.resolve();
+  }
+
+  static shared() {
+    shared = shared || new ModelRegistry();
+    return shared;
+  }
+
+  // Each top-level .js file may export one plugin or an array of them. A file that fails
+  // to import or validate is logged and skipped; the others still load.
+  async loadDirectory(directory) {
+    let files;
+    try {
+      files = (await fs.readdir(directory)).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const file of files) {
+      const source = path.join(directory, file);
+      try {
+        const module = await import(pathToFileURL(source).href);
+        const plugins = [].concat(module.default || []);
+        if (plugins.length === 0) throw new Error('no default export');
+        for (const plugin of plugins) this.register(plugin, { source });
+      } catch (error) {
+        console.error(`Skipping model plugin ${source}: ${error.message}`);
+        this.rejected.push({ source, error: error.message });
+      }
+    }
+  }
+
+  static paramProblems(spec, value, where) {
+    const valid = {
+      integer: Number.isInteger(value),
+      number: Number.isFinite(value),
+      string: typeof value === 'string',
+      boolean: typeof value === 'boolean'
+    }[spec.type];
+
+    if (!valid) return [`${where} must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}`];
+    if (spec.min !== undefined && value < spec.min) return [`${where} must be at least ${spec.min}`];
+    if (spec.max !== undefined && value > spec.max) return [`${where} must be at most ${spec.max}`];
+    if (spec.values && !spec.values.includes(value)) return [`${where} must be one of ${spec.values.join(', ')}`];
+    return [];
+  }
+
+  static validate(plugin) {
+    if (typeof plugin !== 'object' || plugin === null) return ['plugin must be an object'];
+
+    const problems = [];
+    if (typeof plugin.id !== 'string' || !/^[A-Za-z][\w-]*$/.test(plugin.id)) {
+      problems.push('id must be a string of letters, digits, _ or -, starting with a letter');
+    } else if (BUILT_IN_ID.test(plugin.id)) {
+      problems.push(`id ${plugin.id} clashes with a built-in model`);
+    }
+    if (typeof plugin.family !== 'string' || plugin.family.length === 0) {
+      problems.push('family must be a non-empty string');
+    }
+    if (typeof plugin.predict !== 'function') problems.push('predict must be a function');
+    for (const hook of ['train', 'update']) {
+      if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') problems.push(`${hook} must be a function`);
+    }
+    if (plugin.weight !== undefined && !(Number.isFinite(plugin.weight) && plugin.weight >= 0)) {
+      problems.push('weight must be a non-negative number');
+    }
+
+    const params = plugin.params || {};
+    if (typeof params !== 'object') return [...problems, 'params must be an object'];
+    for (const [name, spec] of Object.entries(params)) {
+      if (RESERVED_PARAMS.includes(name)) {
+        problems.push(`params.${name} is reserved (${RESERVED_PARAMS.join(', ')} are model fields)`);
+        continue;
+      }
+      if (typeof spec !== 'object' || spec === null || !PARAM_TYPES.includes(spec.type)) {
+        problems.push(`params.${name}.type must be one of ${PARAM_TYPES.join(', ')}`);
+      } else if (spec.default === undefined) {
+        problems.push(`params.${name}.default is required`);
+      } else {
+        problems.push(...ModelRegistry.paramProblems(spec, spec.default, `params.${name}.default`));
+      }
+    }
+
+    return problems;
+  }
+
+  // A registry with fresh instances of the same plugins, weights and params, for
+  // replays that must neither learn from live data nor fail on live's behalf
+  fork() {
+    const copy = new ModelRegistry({
+      directory: null,
+      timeoutMs: this.timeoutMs,
+      trainTimeoutMs: this.trainTimeoutMs,
+      retryAfterMs: this.retryAfterMs
+    });
+    for (const entry of this.entries.values()) {
+      copy.register(entry.definition, { source: entry.source, weight: entry.weight, params: entry.params });
+    }
+    return copy;
+  }
+
+  // definition is a plugin or a factory for one; options.weight and options.params
+  // override the plugin's own defaults
+  register(definition, options = {}) {
+    const factory = typeof definition === 'function';
+    let plugin = definition;
+    if (factory) {
+      try {
+        plugin = definition();
+      } catch (error) {
+        throw new Error(`Invalid model plugin factory ${definition.name || '(anonymous)'}: ${error.message}`);
+      }
+    }
+
+    const problems = ModelRegistry.validate(plugin);
+    if (problems.length === 0 && !factory && (plugin.train || plugin.update)) {
+      problems.push('a plugin with train or update must be exported as a factory returning a fresh instance');
+    }
+    const schema = (plugin && plugin.params) || {};
+
+    for (const [name, value] of Object.entries(options.params || {})) {
+      if (!schema[name]) problems.push(`params.${name} is not declared by the plugin`);
+      else problems.push(...ModelRegistry.paramProblems(schema[name], value, `params.${name}`));
+    }
+    if (problems.length === 0 && this.entries.has(plugin.id)) {
+      problems.push(`a model with id ${plugin.id} is already registered`);
+    }
+    if (problems.length > 0) {
+      throw new Error(`Invalid model plugin ${(plugin && plugin.id) || '(no id)'}:\n  ${problems.join('\n  ')}`);
+    }
+
+    const defaults = Object.fromEntries(Object.entries(schema).map(([name, spec]) => [name, spec.default]));
+    const entry = {
+      plugin,
+      definition,
+      source: options.source || 'runtime',
+      weight: options.weight ?? plugin.weight ?? 0.05,
+      params: { ...defaults, ...options.params },
+      healthy: true,
+      trained: !plugin.train,
+      error: null,
+      failedAt: null,
+      // Latest issue fed to update(), per game
+      updatedThrough: {},
+      calls: 0
+    };
+
+    this.entries.set(plugin.id, entry);
+    this.version++;
+    return entry;
+  }
+
+  unregister(id) {
+    const removed = this.entries.delete(id);
+    if (removed) this.version++;
+    return removed;
+  }
+
+  // Puts an unhealthy plugin back in the ensemble, e.g. after fixing what it depends on
+  reset(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    Object.assign(entry, { healthy: true, error: null, failedAt: null });
+    return true;
+  }
+
+  // Once retryAfterMs has passed, an unhealthy plugin is put back for another try
+  isHealthy(id) {
+    const entry = this.entries.get(id);
+    if (entry && !entry.healthy && Date.now() - Date.parse(entry.failedAt) >= this.retryAfterMs) this.reset(id);
+    return Boolean(entry && entry.healthy);
+  }
+
+  markUnhealthy(id, error) {
+    const entry = this.entries.get(id);
+    if (!entry || !entry.healthy) return;
+
+    entry.healthy = false;
+    entry.error = error.message;
+    entry.failedAt = new Date().toISOString();
+    console.error(`Model plugin ${id} marked unhealthy and excluded: ${error.message}`);
+  }
+
+  async guard(call, timeoutMs) {
+    const started = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    try {
+      const answer = await Promise.race([Promise.resolve().then(call), timeout]);
+      // A synchronous call finishes before the timer can fire, so its overrun shows here
+      const elapsed = Date.now() - started;
+      if (elapsed > timeoutMs) throw new Error(`took ${elapsed}ms, over its ${timeoutMs}ms budget`);
+      return answer;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // The registered plugins as ensemble models, in registration order
+  models() {
+    return [...this.entries.entries()].map(([id, entry]) => ({
+      type: entry.plugin.family,
+      id,
+      weight: entry.weight,
+      plugin: entry.source,
+      ...entry.params
+    }));
+  }
+
+  async prepare(data) {
+    for (const [id, entry] of this.entries) {
+      if (entry.trained || !this.isHealthy(id)) continue;
+      try {
+        await this.guard(() => entry.plugin.train(data, entry.params), this.trainTimeoutMs);
+        entry.trained = true;
+      } catch (error) {
+        this.markUnhealthy(id, new Error(`train failed: ${error.message}`));
+      }
+    }
+  }
+
+  async predict(id, data, features) {
+    const entry = this.entries.get(id);
+    if (!this.isHealthy(id)) return null;
+
+    try {
+      const answer = await this.guard(() => entry.plugin.predict(data, features, entry.params), this.timeoutMs);
+      entry.calls++;
+
+      if (answer === 'BIG' || answer === 'SMALL') return answer;
+      if (Number.isFinite(answer) && answer >= 0 && answer <= 1) {
+        return answer > 0.5 ? 'BIG' : answer < 0.5 ? 'SMALL' : null;
+      }
+      throw new Error(`predict returned ${JSON.stringify(answer)}, expected BIG, SMALL or a probability`);
+    } catch (error) {
+      this.markUnhealthy(id, error);
+      return null;
+    }
+  }
+
+  // settledEntries come from PredictionLedger.settle; each plugin sees its own vote.
+  // Every profile's ledger settles the same issues, so a plugin is fed an issue of a
+  // game only once, whichever profile's cycle settles it first.
+  async update(settledEntries, game) {
+    for (const [id, entry] of this.entries) {
+      if (!entry.plugin.update || !this.isHealthy(id)) continue;
+
+      for (const settled of settledEntries) {
+        const through = entry.updatedThrough[game];
+        if (through && IssueNumbers.compare(settled.issue, through) <= 0) continue;
+        entry.updatedThrough[game] = settled.issue;
+
+        // Abstentions (and runs while it was excluded) have nothing to learn from
+        const vote = (settled.votes || {})[id];
+        if (vote !== 'BIG' && vote !== 'SMALL') continue;
+        try {
+          const result = { issue: settled.issue, outcome: settled.outcome, number: settled.number, vote, hit: vote === settled.outcome };
+          await this.guard(() => entry.plugin.update(result, entry.params), this.timeoutMs);
+        } catch (error) {
+          this.markUnhealthy(id, new Error(`update failed: ${error.message}`));
+          break;
+        }
+      }
+    }
+  }
+
+  health() {
+    return [
+      ...[...this.entries.entries()].map(([id, entry]) => ({
+        id,
+        family: entry.plugin.family,
+        source: entry.source,
+        healthy: entry.healthy,
+        error: entry.error,
+        failedAt: entry.failedAt,
+        retryAt: entry.failedAt && new Date(Date.parse(entry.failedAt) + this.retryAfterMs).toISOString(),
+        calls: entry.calls
+      })),
+      ...this.rejected.map(({ source, error }) => ({ id: null, family: null, source, healthy: false, error, failedAt: null, retryAt: null, calls: 0 }))
+    ];
+  }
+}
@@ -0,0 +1,46 @@
+import { decodeResult } from './resultDecoder.js';
+
+// Gross multipliers for each bet type. The platform keeps a service fee on every
+// stake, so a 1-unit BIG bet that wins returns 2 * (1 - fee). RED and GREEN pay
+// less when the digit is also VIOLET (0 or 5).
+export const DEFAULT_PAYOUT_TABLE = {
+  serviceFee: parseFloat(process.env.WINGO_SERVICE_FEE) || 0.02,
+  size: 2,
+  color: 2,
+  colorOnViolet: 1.5,
+  violet: 4.5,
+  number: 9
+};
+
+// Amount returned per unit staked (0 on a loss). betType is size, color or number.
+export function payoutFor(betType, betValue, resultOrDigit, table = DEFAULT_PAYOUT_TABLE) {
+  const draw = typeof resultOrDigit === 'object' ? resultOrDigit : decodeResult(resultOrDigit);
+  if (!draw) return 0;
+
+  const net = 1 - table.serviceFee;
+  const digit = draw.digit ?? draw.number;
+  const colors = draw.colors;
+
+  switch (betType) {
+    case 'size':
+      return (draw.size ?? draw.outcome) === betValue ? table.size * net : 0;
+    case 'color':
+      if (!colors.includes(betValue)) return 0;
+      if (betValue === 'VIOLET') return table.violet * net;
+      return (colors.includes('VIOLET') ? table.colorOnViolet : table.color) * net;
+    case 'number':
+      return digit === Number(betValue) ? table.number * net : 0;
+    default:
+      throw new Error(`Unknown bet type "${betType}"`);
+  }
+}
+
+// Hit rate a BIG/SMALL bettor needs just to break even
+export function sizeBreakEven(table = DEFAULT_PAYOUT_TABLE) {
+  return 1 / (table.size * (1 - table.serviceFee));
+}
+
+// Expected profit per unit staked on BIG/SMALL given a probability of winning
+export function sizeExpectedValue(probability, table = DEFAULT_PAYOUT_TABLE) {
+  return probability * table.size * (1 - table.serviceFee) - 1;
+}
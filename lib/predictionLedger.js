@@ -0,0 +1,194 @@
+import { FileStore } from './fileStore.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+import { DEFAULT_GAME } from './games.js';
+
+// Pending mutations per ledger namespace. Without Redis, record and settle are a
+// read-modify-write of the file, so /api/stream and /api/predict running side by side
+// would both see an issue as new or open; queueing them keeps each issue recorded and
+// settled once in this process.
+const queues = new Map();
+
+function exclusive(key, task) {
+  const run = (queues.get(key) || Promise.resolve()).then(task);
+  const done = run.catch(() => {});
+  queues.set(key, done);
+  done.then(() => {
+    if (queues.get(key) === done) queues.delete(key);
+  });
+  return run;
+}
+
+export class PredictionLedger {
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.game = options.game || DEFAULT_GAME;
+    this.store = options.store || new FileStore(`ledger-${this.game}`);
+    // Model votes are kept apart from the entries, and only for the latest issues: the
+    // drift monitor's windows read them, statistics and settlement never do
+    this.voteStore = options.voteStore || new FileStore(`ledger-votes-${this.game}`);
+    this.maxEntries = options.maxEntries || 5000;
+    this.maxVotes = options.maxVotes || 1000;
+  }
+
+  // Oldest first. `limit` keeps only the latest entries; `votes` adds each entry's
+  // model votes, or {} once they have been pruned.
+  async getEntries({ limit = Infinity, votes = false } = {}) {
+    let remote;
+    if (Number.isFinite(limit)) {
+      const issues = await this.cache.getLedgerIssues(this.game);
+      remote = issues && await this.cache.getLedgerEntriesByIssue(this.latest(issues, limit), this.game);
+    } else {
+      remote = await this.cache.getLedgerEntries(this.game);
+    }
+
+    const entries = (remote || Object.values(await this.store.read({})))
+      .sort((a, b) => IssueNumbers.compare(a.issue, b.issue))
+      .slice(-limit);
+    return votes ? this.withVotes(entries) : entries;
+  }
+
+  // The entries for `issues` the ledger holds, oldest first
+  async lookup(issues) {
+    const remote = await this.cache.getLedgerEntriesByIssue(issues, this.game);
+    const local = remote ? null : await this.store.read({});
+    const entries = remote || issues.map(issue => local[String(issue)]).filter(Boolean);
+    return entries.sort((a, b) => IssueNumbers.compare(a.issue, b.issue));
+  }
+
+  async withVotes(entries) {
+    const issues = entries.map(entry => entry.issue);
+    const votes = await this.cache.getLedgerVotes(issues, this.game) || await this.voteStore.read({});
+    return entries.map(entry => ({ ...entry, votes: votes[entry.issue] || entry.votes || {} }));
+  }
+
+  // Records the forecast for an upcoming issue. Repeated calls for the same issue
+  // keep the first entry, so polling never adds predictions.
+  async record(issue, prediction) {
+    return exclusive(this.game, () => this.recordNow(issue, prediction));
+  }
+
+  async recordNow(issue, prediction) {
+    const entry = {
+      issue: String(issue),
+      prediction: prediction.outcome,
+      confidence: Number(prediction.confidence),
+      bigShare: prediction.bigVoteShare,
+      predictedAt: new Date().toISOString(),
+      outcome: null,
+      number: null,
+      result: null,
+      settledAt: null
+    };
+    const votes = prediction.modelVotes || {};
+
+    const local = await this.store.read({});
+    const added = await this.cache.addLedgerEntry(entry.issue, entry, votes, this.game);
+    const created = added === null ? !local[entry.issue] : added;
+
+    if (!local[entry.issue]) {
+      local[entry.issue] = entry;
+      await this.store.write(this.prune(local));
+      const localVotes = await this.voteStore.read({});
+      localVotes[entry.issue] = votes;
+      await this.voteStore.write(this.prune(localVotes, this.maxVotes));
+    }
+    if (added) await this.pruneRemote();
+
+    return { entry: created ? entry : local[entry.issue] || entry, created };
+  }
+
+  // Settles every open entry whose issue appears in draws. Returns only the entries
+  // this call settled, oldest first and with their votes; an issue is never settled twice.
+  async settle(draws) {
+    return exclusive(this.game, () => this.settleNow(draws));
+  }
+
+  // Runs inside the queue, so the file read here is the latest state
+  async settleNow(draws) {
+    const drawsByIssue = new Map(draws.map(d => [String(d.issue), d]));
+    const local = await this.store.read({});
+    const remote = await this.cache.getOpenLedgerEntries(this.game);
+    const open = (remote || Object.values(local).filter(entry => !entry.settledAt))
+      .filter(entry => drawsByIssue.has(entry.issue))
+      .sort((a, b) => IssueNumbers.compare(a.issue, b.issue));
+    const settled = [];
+
+    for (const entry of await this.withVotes(open)) {
+      const draw = drawsByIssue.get(entry.issue);
+      const claimed = await this.cache.claimSettlement(entry.issue, this.game);
+      if (claimed === false) continue;
+      if (claimed === null && local[entry.issue] && local[entry.issue].settledAt) continue;
+
+      const { votes, ...stored } = {
+        ...entry,
+        outcome: draw.outcome,
+        number: draw.number,
+        result: entry.prediction === draw.outcome ? 'WIN' : 'LOSS',
+        settledAt: new Date().toISOString()
+      };
+
+      await this.cache.updateLedgerEntry(entry.issue, stored, this.game);
+      local[entry.issue] = stored;
+      settled.push({ ...stored, votes });
+    }
+
+    if (settled.length > 0) {
+      await this.store.write(this.prune(local));
+    }
+
+    return settled;
+  }
+
+  async getStatistics() {
+    return this.computeStatistics(await this.getEntries());
+  }
+
+  computeStatistics(entries) {
+    const settled = entries.filter(e => e.settledAt);
+    const wins = settled.filter(e => e.result === 'WIN').length;
+
+    // Current streaks count back from the most recently settled issue
+    let winStreak = 0;
+    let lossStreak = 0;
+    for (let i = settled.length - 1; i >= 0; i--) {
+      if (settled[i].result === 'WIN' && lossStreak === 0) winStreak++;
+      else if (settled[i].result === 'LOSS' && winStreak === 0) lossStreak++;
+      else break;
+    }
+
+    return {
+      totalPredictions: settled.length,
+      wins,
+      losses: settled.length - wins,
+      pending: entries.length - settled.length,
+      accuracy: settled.length ? (wins / settled.length * 100).toFixed(2) : '0.00',
+      winStreak,
+      lossStreak,
+      lastSettled: settled.length ? settled[settled.length - 1] : null
+    };
+  }
+
+  latest(issues, limit) {
+    return [...issues].sort(IssueNumbers.compare).slice(-limit);
+  }
+
+  excess(issues, max = this.maxEntries) {
+    return [...issues].sort(IssueNumbers.compare).slice(0, Math.max(0, issues.length - max));
+  }
+
+  prune(local, max = this.maxEntries) {
+    this.excess(Object.keys(local), max).forEach(issue => delete local[issue]);
+    return local;
+  }
+
+  // Redis is trimmed by what it holds itself, since another instance's file (or none,
+  // on a fresh deployment) says nothing about the shared hashes
+  async pruneRemote() {
+    const issues = await this.cache.getLedgerIssues(this.game);
+    if (!issues) return null;
+    await this.cache.removeLedgerEntries(this.excess(issues), this.game);
+
+    const voteIssues = await this.cache.getLedgerVoteIssues(this.game);
+    return voteIssues && this.cache.removeLedgerVotes(this.excess(voteIssues, this.maxVotes), this.game);
+  }
+}
@@ -0,0 +1,152 @@
+import { EnsembleEngine } from './ensembleEngine.js';
+import { CacheManager } from './cacheManager.js';
+import { DataFetcher } from './dataFetcher.js';
+import { PredictionLedger } from './predictionLedger.js';
+import { AdaptiveWeights } from './adaptiveWeights.js';
+import { EnsembleConfig } from './ensembleConfig.js';
+import { ModelRegistry } from './modelRegistry.js';
+import { FeatureStore } from './featureStore.js';
+import { DriftMonitor } from './driftMonitor.js';
+
+let shared = null;
+
+// One prediction cycle per new draw: settle the ledger, move the model weights, then
+// forecast the next issue and record it. /api/predict and /api/stream both drive it;
+// until a new draw lands (or the weights move) repeated calls reuse the same forecast.
+export class PredictionService {
+  constructor(options = {}) {
+    this.cache = options.cache || CacheManager.shared();
+    this.config = options.config || EnsembleConfig.shared();
+    this.plugins = options.plugins || ModelRegistry.shared();
+    this.engines = new Map();
+    this.ledgers = new Map();
+    this.adaptiveWeights = new Map();
+    this.latest = new Map();
+    this.featureStores = new Map();
+    this.monitors = new Map();
+    if (options.engine) this.engines.set(options.engine.profile, options.engine);
+  }
+
+  static shared() {
+    shared = shared || new PredictionService();
+    return shared;
+  }
+
+  // Rebuilt whenever the config file has changed or plugins were (un)registered since
+  // the engine was made
+  engineFor(profile = this.config.defaultProfile()) {
+    const engine = this.engines.get(profile);
+    if (engine && engine.configVersion === this.config.resolve(profile).version &&
+      engine.pluginVersion === this.plugins.version) {
+      return engine;
+    }
+
+    const rebuilt = new EnsembleEngine({ profile, config: this.config, plugins: this.plugins });
+    this.engines.set(profile, rebuilt);
+    return rebuilt;
+  }
+
+  // engineFor once the plugin directory has finished loading
+  async currentEngine(profile) {
+    await this.plugins.ready;
+    return this.engineFor(profile);
+  }
+
+  // The same ensemble for a replay (backtest, simulation, the safeguards' edge), with
+  // its own plugin instances: trained on the replayed window rather than live data, and
+  // failing there without excluding the plugin from live predictions
+  async replayEngine(profile) {
+    const engine = await this.currentEngine(profile);
+    return new EnsembleEngine({ profile: engine.profile, config: this.config, plugins: this.plugins.fork() });
+  }
+
+  // Kept per game across cycles, so each fetch only appends the issues drawn since
+  featureStoreFor(game) {
+    if (!this.featureStores.has(game.id)) this.featureStores.set(game.id, new FeatureStore());
+    return this.featureStores.get(game.id);
+  }
+
+  // Each profile keeps its own ledger and weights; the default one keeps the plain
+  // game id so history recorded before profiles existed stays with it
+  namespaceFor(game, profile) {
+    return !profile || profile === this.config.defaultProfile() ? game.id : `${game.id}-${profile}`;
+  }
+
+  ledgerFor(game, profile) {
+    const namespace = this.namespaceFor(game, profile);
+    if (!this.ledgers.has(namespace)) {
+      this.ledgers.set(namespace, new PredictionLedger(this.cache, { game: namespace }));
+    }
+    return this.ledgers.get(namespace);
+  }
+
+  weightsFor(game, profile) {
+    const namespace = this.namespaceFor(game, profile);
+    if (!this.adaptiveWeights.has(namespace)) {
+      this.adaptiveWeights.set(namespace, new AdaptiveWeights(this.cache, { game: namespace }));
+    }
+    return this.adaptiveWeights.get(namespace);
+  }
+
+  // Alert history is kept per ledger, so each profile is watched on its own
+  monitorFor(game, profile) {
+    const namespace = this.namespaceFor(game, profile);
+    if (!this.monitors.has(namespace)) {
+      this.monitors.set(namespace, new DriftMonitor(this.cache, { namespace }));
+    }
+    return this.monitors.get(namespace);
+  }
+
+  // historicalData is most recent first, as DataFetcher returns it
+  async cycle(game, historicalData, options = {}) {
+    const engine = await this.currentEngine(options.profile);
+    const namespace = this.namespaceFor(game, engine.profile);
+    const ledger = this.ledgerFor(game, engine.profile);
+    const weighting = this.weightsFor(game, engine.profile);
+    const issueClock = DataFetcher.forGame(game).issueClock;
+
+    // Settle any open predictions for issues that have now been drawn,
+    // then let each model's result move its weight
+    const settled = await ledger.settle(historicalData);
+    const weightState = await weighting.update(settled);
+    await this.plugins.update(settled, game.id);
+    const weights = weighting.computeWeights(weightState, engine.models);
+
+    // The prediction targets the issue after the last drawn one, which closes on the
+    // game's schedule rather than a fixed delay from now
+    const targetIssue = issueClock.next(historicalData[0].issue);
+    const closesAt = issueClock.closeTime(targetIssue);
+
+    const cached = this.latest.get(namespace);
+    let prediction;
+    if (!options.explain && cached && cached.engine === engine &&
+      cached.issue === targetIssue && cached.updates === weightState.updates) {
+      prediction = cached.prediction;
+    } else {
+      // Context models learn from the archive the first time they're needed
+      const store = await this.featureStoreFor(game).sync(historicalData)
+        .pretrain(engine.contextAlphabets(), DataFetcher.forGame(game).archive);
+      prediction = await engine.predictNextOutcome(historicalData, {
+        intervalSeconds: game.intervalSeconds,
+        nextIssueTime: closesAt && closesAt.toISOString(),
+        weights,
+        view: store.view(undefined, historicalData.length),
+        explain: options.explain,
+        hitRates: options.explain
+          ? Object.fromEntries(engine.models.map(m => [m.id, weighting.hitRate(weightState, m.id)]))
+          : undefined
+      });
+      if (!options.explain) {
+        this.latest.set(namespace, { engine, issue: targetIssue, updates: weightState.updates, prediction });
+      }
+    }
+
+    // Record it against the issue it targets; refreshes keep the first entry. An issue
+    // number the clock can't parse has no successor, and nothing to settle against later.
+    const { entry, created } = targetIssue
+      ? await ledger.record(targetIssue, prediction)
+      : { entry: null, created: false };
+
+    return { engine, settled, weightState, weights, targetIssue, closesAt, prediction, entry, created };
+  }
+}
@@ -0,0 +1,32 @@
+// WinGo draws a single digit 0-9. Size and colour are derived from it:
+// 5-9 are BIG, 0-4 SMALL; odd digits are GREEN and even ones RED, while
+// 0 (RED) and 5 (GREEN) additionally pay out as VIOLET.
+export const DIGITS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+export const SIZES = ['BIG', 'SMALL'];
+export const COLORS = ['RED', 'GREEN', 'VIOLET'];
+
+export function sizeOf(digit) {
+  return digit >= 5 ? 'BIG' : 'SMALL';
+}
+
+export function colorsOf(digit) {
+  const primary = digit % 2 === 0 ? 'RED' : 'GREEN';
+  return digit === 0 || digit === 5 ? [primary, 'VIOLET'] : [primary];
+}
+
+// Accepts the raw upstream result ("7", "7,3,1", 7). Only the first value is the
+// drawn digit. Returns null when it isn't a digit 0-9.
+export function decodeResult(raw) {
+  const first = String(raw ?? '').split(',')[0].trim();
+  if (!/^\d$/.test(first)) return null;
+
+  const digit = Number(first);
+  const colors = colorsOf(digit);
+
+  return {
+    digit,
+    size: sizeOf(digit),
+    color: colors[0],
+    colors
+  };
+}
@@ -0,0 +1,165 @@
+import { Backtester } from './backtester.js';
+import { GAMES, DEFAULT_GAME } from './games.js';
+import { DEFAULT_PAYOUT_TABLE, sizeBreakEven, sizeExpectedValue } from './payouts.js';
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Every stake suggestion goes through review(). It withholds the suggestion when
+// the backtested edge isn't significant, the user's session has hit its loss
+// limit, or a losing streak has triggered a cooldown, and caps how fast the
+// suggested stake may grow. Each result carries an expected-value disclaimer.
+export class Safeguards {
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.game = options.game || GAMES[DEFAULT_GAME];
+    // Sessions and the edge belong to one profile's ledger, and the edge to one version
+    // of its config
+    this.namespace = options.namespace || this.game.id;
+    this.configVersion = options.configVersion ?? 0;
+    this.backtester = options.backtester || new Backtester();
+    this.payouts = options.payouts || DEFAULT_PAYOUT_TABLE;
+    this.sessionLossLimit = options.sessionLossLimit ?? envNumber('WINGO_SESSION_LOSS_LIMIT', 10); // stake units
+    this.maxConsecutiveLosses = options.maxConsecutiveLosses ?? envNumber('WINGO_MAX_CONSECUTIVE_LOSSES', 3);
+    this.cooldownIssues = options.cooldownIssues ?? envNumber('WINGO_COOLDOWN_ISSUES', 5);
+    this.maxStakeGrowth = options.maxStakeGrowth ?? envNumber('WINGO_MAX_STAKE_GROWTH', 1.5);
+    this.maxStake = options.maxStake ?? envNumber('WINGO_MAX_STAKE', 1);
+    this.sessionHours = options.sessionHours ?? envNumber('WINGO_SESSION_HOURS', 12);
+  }
+
+  async edge(historicalData) {
+    let summary = await this.cache.getBacktestSummary(this.namespace, this.configVersion);
+
+    if (!summary) {
+      const report = await this.backtester.run(historicalData);
+      summary = {
+        samples: report.samples,
+        hitRate: report.hitRate,
+        pValue: report.pValue,
+        lower: report.confidenceInterval.lower,
+        upper: report.confidenceInterval.upper,
+        testedAt: new Date().toISOString()
+      };
+      await this.cache.storeBacktestSummary(summary, this.namespace, this.configVersion);
+    }
+
+    // An edge only counts if the whole confidence interval clears break-even
+    const breakEven = sizeBreakEven(this.payouts);
+    return { ...summary, breakEven, significant: summary.samples > 0 && summary.lower > breakEven };
+  }
+
+  async loadSession(userId) {
+    const session = await this.cache.getSession(userId, this.namespace);
+    const expired = session && Date.now() - Date.parse(session.startedAt) > this.sessionHours * 3600000;
+
+    if (session && !expired) return session;
+
+    return {
+      userId,
+      startedAt: new Date().toISOString(),
+      net: 0,
+      consecutiveLosses: 0,
+      lastStake: null,
+      openStakes: [],
+      cooldownUntil: null,
+      cooldownTriggerIssue: null
+    };
+  }
+
+  // Applies settled ledger results to the stakes this session was shown
+  settleSession(session, entries) {
+    const entriesByIssue = new Map(entries.map(e => [e.issue, e]));
+    const winReturn = this.payouts.size * (1 - this.payouts.serviceFee);
+
+    session.openStakes = session.openStakes.filter(stake => {
+      const entry = entriesByIssue.get(stake.issue);
+      if (!entry || !entry.settledAt) return true;
+
+      if (entry.result === 'WIN') {
+        session.net += stake.amount * (winReturn - 1);
+        session.consecutiveLosses = 0;
+      } else {
+        session.net -= stake.amount;
+        session.consecutiveLosses++;
+      }
+      return false;
+    });
+  }
+
+  async review({ userId, issue, proposedStake, probability, ledgerStats, entries, historicalData }) {
+    const session = await this.loadSession(userId);
+    this.settleSession(session, entries);
+
+    const reasons = [];
+    const adjustments = [];
+    const now = Date.now();
+
+    const edge = await this.edge(historicalData);
+    if (!edge.significant) {
+      reasons.push(
+        `Backtested hit rate ${(edge.hitRate * 100).toFixed(2)}% over ${edge.samples} issues ` +
+        `(p=${edge.pValue.toFixed(3)}) is not significantly above the ${(edge.breakEven * 100).toFixed(2)}% break-even rate`
+      );
+    }
+
+    if (-session.net >= this.sessionLossLimit) {
+      reasons.push(`Session loss limit of ${this.sessionLossLimit} units reached`);
+    }
+
+    // Start a cooldown when the engine or this user hits a losing streak, once per streak
+    const streakIssue = ledgerStats.lastSettled ? ledgerStats.lastSettled.issue : null;
+    const onLosingStreak = ledgerStats.lossStreak >= this.maxConsecutiveLosses ||
+      session.consecutiveLosses >= this.maxConsecutiveLosses;
+    if (onLosingStreak && session.cooldownTriggerIssue !== streakIssue) {
+      session.cooldownUntil = new Date(now + this.cooldownIssues * this.game.intervalSeconds * 1000).toISOString();
+      session.cooldownTriggerIssue = streakIssue;
+    }
+    if (session.cooldownUntil && Date.parse(session.cooldownUntil) > now) {
+      reasons.push(`Cooling down after ${this.maxConsecutiveLosses} consecutive losses until ${session.cooldownUntil}`);
+    }
+
+    let amount = Number(proposedStake.amount);
+    if (amount > this.maxStake) {
+      amount = this.maxStake;
+      adjustments.push(`Capped at the ${this.maxStake} unit maximum`);
+    }
+    if (session.lastStake && amount > session.lastStake * this.maxStakeGrowth) {
+      amount = session.lastStake * this.maxStakeGrowth;
+      adjustments.push(`Limited to ${this.maxStakeGrowth}x the previous suggestion`);
+    }
+
+    const suggested = reasons.length === 0;
+    if (suggested && !session.openStakes.some(s => s.issue === issue)) {
+      session.openStakes.push({ issue, amount });
+      session.lastStake = amount;
+    }
+
+    await this.cache.storeSession(userId, session, this.namespace);
+
+    const expectedValue = sizeExpectedValue(probability, this.payouts);
+    const fairValue = sizeExpectedValue(0.5, this.payouts);
+
+    return {
+      suggested,
+      amount: suggested ? amount : null,
+      level: suggested ? proposedStake.level : 'NO_SUGGESTION',
+      reasons,
+      adjustments,
+      expectedValue,
+      disclaimer: `Expected value is ${(expectedValue * 100).toFixed(2)}% of the stake at the estimated ` +
+        `${(probability * 100).toFixed(2)}% win probability, and ${(fairValue * 100).toFixed(2)}% if draws are fair. ` +
+        'Past results do not predict future draws; never stake money you cannot afford to lose.',
+      session: {
+        net: session.net,
+        lossLimit: this.sessionLossLimit,
+        consecutiveLosses: session.consecutiveLosses,
+        openStakes: session.openStakes.length,
+        cooldownUntil: session.cooldownUntil,
+        startedAt: session.startedAt
+      },
+      edge
+    };
+  }
+}
@@ -0,0 +1,198 @@
+import _ from 'lodash';
+import { EnsembleEngine } from './ensembleEngine.js';
+import { Calibrator } from './calibrator.js';
+import { FeatureStore } from './featureStore.js';
+import { DEFAULT_PAYOUT_TABLE, payoutFor } from './payouts.js';
+import { Random } from '../utils/random.js';
+
+export const POLICIES = ['flat', 'engine', 'kelly'];
+
+// Replays a draw history through the engine and asks what following each staking
+// policy would have done to a bankroll. replay() is the expensive part (every
+// model runs once per issue), so its steps are reused by simulate() and monteCarlo().
+export class BankrollSimulator {
+  constructor(engine = new EnsembleEngine(), options = {}) {
+    this.engine = engine;
+    this.minHistory = options.minHistory || 50;
+    this.maxWindow = options.maxWindow || 200;
+    this.calibrator = options.calibrator || new Calibrator({ method: 'platt' });
+    this.refitEvery = options.refitEvery || 20;
+  }
+
+  // draws are most recent first, as DataFetcher returns them
+  async replay(draws) {
+    const chronological = [...draws].reverse();
+    const store = FeatureStore.from(draws);
+    const steps = [];
+    let calibration = { method: 'identity', fitted: false, samples: 0 };
+
+    for (let i = this.minHistory; i < chronological.length; i++) {
+      const visible = chronological
+        .slice(Math.max(0, i - this.maxWindow), i)
+        .reverse();
+
+      // Calibrate only on issues that had already settled at this point
+      if (steps.length > 0 && steps.length % this.refitEvery === 0) {
+        calibration = this.calibrator.fit(steps.map(s => ({
+          bigShare: s.bigShare,
+          outcome: s.draw.outcome,
+          settledAt: true
+        })));
+      }
+
+      const predictions = await this.engine.runModels(visible, undefined, store.view(i, this.maxWindow));
+      const { bigVotes, smallVotes, outcome } = this.engine.aggregateVotes(predictions);
+      const totalVotes = bigVotes + smallVotes;
+      const bigShare = totalVotes ? bigVotes / totalVotes : 0.5;
+      const confidence = Math.max(bigShare, 1 - bigShare) * 100;
+      const trend = this.engine.analyzeTrend(visible.map(d => d.number));
+      const calibratedBig = this.calibrator.predict(calibration, bigShare);
+
+      steps.push({
+        issue: chronological[i].issue,
+        draw: chronological[i],
+        prediction: outcome,
+        bigShare,
+        engineStake: Number(this.engine.calculateStake(confidence, trend.strength).amount),
+        // Without a fitted calibration we have no evidence of an edge, so assume a coin flip
+        winProbability: calibration.fitted
+          ? (outcome === 'BIG' ? calibratedBig : 1 - calibratedBig)
+          : 0.5
+      });
+    }
+
+    return steps;
+  }
+
+  stakeFor(step, bankroll, settings) {
+    const { policy, unit, kellyFraction, maxStakeFraction, payouts } = settings;
+    let stake;
+
+    if (policy === 'flat') {
+      stake = unit;
+    } else if (policy === 'engine') {
+      stake = unit * step.engineStake;
+    } else if (policy === 'kelly') {
+      // f* = (b p - q) / b with b the net odds of a winning size bet
+      const b = payouts.size * (1 - payouts.serviceFee) - 1;
+      const p = step.winProbability;
+      const fraction = (b * p - (1 - p)) / b;
+      stake = fraction > 0 ? bankroll * fraction * kellyFraction : 0;
+    } else {
+      throw new Error(`Unknown staking policy "${policy}" (expected one of: ${POLICIES.join(', ')})`);
+    }
+
+    return Math.min(stake, bankroll * maxStakeFraction, bankroll);
+  }
+
+  settings(options = {}) {
+    return {
+      bankroll: options.bankroll ?? 1000,
+      unit: options.unit ?? 10,
+      policy: options.policy || 'flat',
+      kellyFraction: options.kellyFraction ?? 0.5,
+      maxStakeFraction: options.maxStakeFraction ?? 1,
+      // Bankroll below this can no longer place a minimum bet
+      ruinLevel: options.ruinLevel ?? 1,
+      payouts: options.payouts || DEFAULT_PAYOUT_TABLE
+    };
+  }
+
+  simulate(steps, options = {}) {
+    const settings = this.settings(options);
+    let bankroll = settings.bankroll;
+    let peak = bankroll;
+    let maxDrawdown = 0;
+    let bets = 0;
+    let wins = 0;
+    let staked = 0;
+    let ruinedAt = null;
+    const equityCurve = [{ issue: null, bankroll }];
+
+    for (const step of steps) {
+      if (bankroll < settings.ruinLevel) {
+        ruinedAt = ruinedAt || step.issue;
+        break;
+      }
+
+      const stake = this.stakeFor(step, bankroll, settings);
+      if (stake > 0) {
+        const returned = stake * payoutFor('size', step.prediction, step.draw, settings.payouts);
+        bankroll += returned - stake;
+        bets++;
+        staked += stake;
+        if (returned > 0) wins++;
+      }
+
+      peak = Math.max(peak, bankroll);
+      maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - bankroll) / peak : 0);
+      equityCurve.push({ issue: step.issue, bankroll });
+    }
+
+    if (!ruinedAt && bankroll < settings.ruinLevel && steps.length > 0) {
+      ruinedAt = equityCurve[equityCurve.length - 1].issue;
+    }
+
+    return {
+      policy: settings.policy,
+      startingBankroll: settings.bankroll,
+      finalBankroll: bankroll,
+      pnl: bankroll - settings.bankroll,
+      returnOnStake: staked ? (bankroll - settings.bankroll) / staked : 0,
+      bets,
+      wins,
+      hitRate: bets ? wins / bets : 0,
+      maxDrawdown,
+      ruined: ruinedAt !== null,
+      ruinedAt,
+      equityCurve
+    };
+  }
+
+  // Bootstrap: rebuild the history by drawing steps with replacement, then run the
+  // policy over each resampled path. Same seed, same answer.
+  monteCarlo(steps, options = {}) {
+    const runs = options.runs || 500;
+    const horizon = options.horizon || steps.length;
+    const random = new Random(options.seed ?? 1);
+    const results = [];
+
+    if (steps.length === 0) {
+      return { runs: 0, horizon, seed: options.seed ?? 1, riskOfRuin: null, pnl: null, maxDrawdown: null };
+    }
+
+    for (let run = 0; run < runs; run++) {
+      const path = Array.from({ length: horizon }, () => steps[random.int(steps.length)]);
+      const outcome = this.simulate(path, options);
+      results.push({ pnl: outcome.pnl, maxDrawdown: outcome.maxDrawdown, ruined: outcome.ruined });
+    }
+
+    const pnls = _.sortBy(results.map(r => r.pnl));
+    const drawdowns = _.sortBy(results.map(r => r.maxDrawdown));
+
+    return {
+      runs,
+      horizon,
+      seed: options.seed ?? 1,
+      riskOfRuin: results.filter(r => r.ruined).length / runs,
+      probabilityOfLoss: results.filter(r => r.pnl < 0).length / runs,
+      pnl: {
+        mean: _.mean(pnls),
+        p5: quantile(pnls, 0.05),
+        median: quantile(pnls, 0.5),
+        p95: quantile(pnls, 0.95)
+      },
+      maxDrawdown: {
+        median: quantile(drawdowns, 0.5),
+        p95: quantile(drawdowns, 0.95)
+      }
+    };
+  }
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
@@ -0,0 +1,65 @@
+import { promises as fs } from 'fs';
+import { normalizeDraw } from './normalizeDraw.js';
+import { IssueNumbers } from '../../utils/issueNumbers.js';
+import { GAMES, DEFAULT_GAME } from '../games.js';
+import { IssueClock } from '../issueClock.js';
+
+// Replays draws saved as a JSON array, an upstream-style { data: { list } } payload,
+// or NDJSON (one draw per line). Rows may be in any order; they are served most
+// recent first like the HTTP source.
+export class FileSource {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.game = options.game || GAMES[DEFAULT_GAME];
+    // WINGO_SOURCE_FILE may contain {game} so each interval replays its own file
+    const template = options.path || process.env.WINGO_SOURCE_FILE;
+    this.path = template && template.replace('{game}', this.game.id);
+    // In step mode every fetch reveals one more draw, as if the file were a live feed
+    this.step = options.step ?? process.env.WINGO_REPLAY_MODE === 'step';
+    this.cursor = options.startAt || parseInt(process.env.WINGO_REPLAY_START) || 50;
+    this.issueClock = options.issueClock || new IssueClock(this.game);
+    this.draws = null;
+
+    if (!this.path) {
+      throw new Error('File source requires a path (set WINGO_SOURCE_FILE)');
+    }
+  }
+
+  async load() {
+    const contents = await fs.readFile(this.path, 'utf8');
+    const rows = parseRows(contents);
+    const loadedAt = new Date();
+
+    this.draws = rows
+      .map(row => normalizeDraw(row, { issueClock: this.issueClock, fallbackTime: loadedAt }))
+      .sort((a, b) => IssueNumbers.compare(b.issue, a.issue));
+  }
+
+  async fetchDraws() {
+    if (!this.draws) await this.load();
+
+    if (!this.step) return this.draws;
+
+    const visible = Math.min(this.cursor, this.draws.length);
+    this.cursor++;
+    return this.draws.slice(this.draws.length - visible);
+  }
+}
+
+function parseRows(contents) {
+  const trimmed = contents.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) return parsed;
+      if (parsed.data && Array.isArray(parsed.data.list)) return parsed.data.list;
+    } catch (error) {
+      // Not a single JSON document; fall through to NDJSON
+    }
+  }
+
+  return trimmed
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
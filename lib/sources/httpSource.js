@@ -0,0 +1,43 @@
+import fetch from 'node-fetch';
+import { normalizeDraw } from './normalizeDraw.js';
+import { GAMES, DEFAULT_GAME } from '../games.js';
+import { IssueClock } from '../issueClock.js';
+
+export class HttpSource {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.game = options.game || GAMES[DEFAULT_GAME];
+    // WINGO_SOURCE_URL may contain {game}, replaced with the upstream game code
+    const template = options.url || process.env.WINGO_SOURCE_URL ||
+      'https://draw.ar-lottery01.com/WinGo/{game}/GetHistoryIssuePage.json';
+    this.url = template.replace('{game}', this.game.code);
+    this.timeout = options.timeout || 5000;
+    this.issueClock = options.issueClock || new IssueClock(this.game);
+  }
+
+  async fetchDraws() {
+    const response = await fetch(this.url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept': 'application/json',
+        'Cache-Control': 'no-cache'
+      },
+      timeout: this.timeout
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.data || !data.data.list) {
+      throw new Error('Invalid data format received');
+    }
+
+    const fetchedAt = new Date();
+    return data.data.list
+      .map(item => normalizeDraw(item, { issueClock: this.issueClock, fallbackTime: fetchedAt }))
+      .reverse(); // Most recent first
+  }
+}
@@ -0,0 +1,23 @@
+import { HttpSource } from './httpSource.js';
+import { FileSource } from './fileSource.js';
+import { SyntheticSource } from './syntheticSource.js';
+
+const SOURCES = {
+  http: HttpSource,
+  file: FileSource,
+  synthetic: SyntheticSource
+};
+
+// Picks the adapter from config.type, then WINGO_SOURCE, defaulting to the live HTTP feed
+export function createSource(config = {}) {
+  const type = config.type || process.env.WINGO_SOURCE || 'http';
+  const Source = SOURCES[type];
+
+  if (!Source) {
+    throw new Error(`Unknown data source "${type}" (expected one of: ${Object.keys(SOURCES).join(', ')})`);
+  }
+
+  return new Source(config);
+}
+
+export { HttpSource, FileSource, SyntheticSource };
@@ -0,0 +1,48 @@
+import { decodeResult } from '../resultDecoder.js';
+
+const TIME_FIELDS = ['drawTime', 'draw_time', 'openTime', 'timestamp'];
+
+// Every source adapter funnels its rows through here so downstream code sees one shape.
+// The draw time comes from the upstream payload when it sends one, else from the
+// issue number via the issue clock, and only as a last resort from the fetch time.
+// timeSource records which of the three it was.
+export function normalizeDraw(item, { issueClock, fallbackTime = new Date() } = {}) {
+  const result = String(item.result ?? item.number ?? '');
+  // Unparseable results keep null fields; DataValidator quarantines them
+  const decoded = decodeResult(result) || { digit: null, size: null, color: null, colors: [] };
+  const rawIssue = item.issue ?? item.issueNumber;
+  const issue = rawIssue === undefined || rawIssue === null ? null : String(rawIssue).trim();
+
+  let timestamp = parseTime(TIME_FIELDS.map(field => item[field]).find(value => value !== undefined && value !== null));
+  let timeSource = 'payload';
+  if (!timestamp && issueClock && issue) {
+    timestamp = issueClock.closeTime(issue);
+    timeSource = 'issue';
+  }
+  if (!timestamp) {
+    timestamp = fallbackTime;
+    timeSource = 'fetch';
+  }
+
+  return {
+    issue,
+    result,
+    timestamp: timestamp.toISOString(),
+    timeSource,
+    number: decoded.digit,
+    outcome: decoded.size,
+    color: decoded.color,
+    colors: decoded.colors
+  };
+}
+
+// Accepts ISO strings and epoch values in seconds or milliseconds
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const numeric = Number(value);
+  const time = Number.isFinite(numeric)
+    ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+    : new Date(value);
+  return Number.isNaN(time.getTime()) ? null : time;
+}
@@ -0,0 +1,41 @@
+import { normalizeDraw } from './normalizeDraw.js';
+import { Random } from '../../utils/random.js';
+import { GAMES, DEFAULT_GAME } from '../games.js';
+import { IssueClock } from '../issueClock.js';
+
+// Deterministic fake feed: the digit drawn for an issue depends only on the seed and
+// the issue itself, so every instance and every run sees the same history.
+export class SyntheticSource {
+  constructor(options = {}) {
+    this.name = 'synthetic';
+    this.seed = options.seed ?? process.env.WINGO_SOURCE_SEED ?? 42;
+    this.size = options.size || 200;
+    this.game = options.game || GAMES[DEFAULT_GAME];
+    this.intervalMs = this.game.intervalSeconds * 1000;
+    this.clock = options.clock || (() => Date.now());
+    this.issueClock = options.issueClock || new IssueClock(this.game);
+  }
+
+  async fetchDraws() {
+    // The newest settled draw is the last full interval before now
+    const latest = Math.floor(this.clock() / this.intervalMs) - 1;
+    const draws = [];
+
+    for (let slot = latest; slot > latest - this.size; slot--) {
+      draws.push(this.drawAt(slot));
+    }
+
+    return draws;
+  }
+
+  drawAt(slot) {
+    // An issue covers one interval and is drawn when that interval closes;
+    // the issue clock turns the slot into an issue number and close time
+    const digit = new Random(`${this.seed}:${this.game.id}:${slot}`).int(10);
+
+    return normalizeDraw({
+      issue: this.issueClock.issueAt(slot * this.intervalMs),
+      result: String(digit)
+    }, { issueClock: this.issueClock });
+  }
+}
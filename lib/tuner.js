@@ -0,0 +1,290 @@
+import _ from 'lodash';
+import { EnsembleEngine } from './ensembleEngine.js';
+import { FeatureStore } from './featureStore.js';
+import { STATISTICAL_METHODS, validateEnsembleConfig } from './ensembleConfig.js';
+import { ALPHABETS } from './variableOrderMarkov.js';
+import { Statistics } from '../utils/statistics.js';
+import { Random } from '../utils/random.js';
+
+export const STRATEGIES = ['grid', 'random', 'halving'];
+
+// The parameters worth searching per family, in the same grid notation as the ensemble
+// config. Parameters a predictor ignores (PATTERN_RECOGNITION's confidence) are left
+// out, and context orders stop at 4, the deepest the digit alphabet keeps.
+export const SEARCH_SPACE = {
+  TREND_FOLLOWING: {
+    window: { range: [3, 30] },
+    threshold: { range: [0, 0.5], step: 0.025 }
+  },
+  MEAN_REVERSION: {
+    lookback: { range: [5, 40], step: 5 },
+    deviation: { range: [0.25, 2.5], step: 0.25 }
+  },
+  PATTERN_RECOGNITION: {
+    patternLength: { range: [2, 10] }
+  },
+  STATISTICAL: {
+    method: { values: STATISTICAL_METHODS }
+  },
+  SEQUENCE_PATTERN: {
+    lookback: { range: [4, 24], step: 2 },
+    reversalLength: { range: [2, 6] }
+  },
+  TREND_ANALYSIS: {
+    shortWindow: { values: [2, 3, 5, 8] },
+    longWindow: { values: [10, 15, 20, 30, 40] }
+  },
+  VARIABLE_ORDER_MARKOV: {
+    alphabet: { values: Object.keys(ALPHABETS) },
+    maxOrder: { range: [0, 4] }
+  }
+};
+
+// Searches one family's parameters by scoring single models walk-forward: the history
+// is cut into folds + 1 consecutive segments and fold k is judged in-sample on the
+// segments before k and out-of-sample on segment k. Each candidate's hits are computed
+// once and every split reads from them, so only the search strategy decides the cost.
+export class Tuner {
+  constructor(engine = new EnsembleEngine(), options = {}) {
+    this.engine = engine;
+    this.minHistory = options.minHistory || 50;
+    this.maxWindow = options.maxWindow || 200;
+    this.folds = options.folds || 4;
+    this.selectTop = options.selectTop || 5;
+    this.eta = options.eta || 3;
+    // In-sample hit rate this far above out-of-sample counts as overfitting
+    this.overfitTolerance = options.overfitTolerance ?? 0.05;
+  }
+
+  static gridValues(spec) {
+    if (spec.values) return spec.values;
+
+    const step = spec.step || 1;
+    const count = Math.floor((spec.range[1] - spec.range[0]) / step + 1e-9) + 1;
+    // Rounded so a 0.025 step doesn't produce keys like 0.07500000000000001
+    return _.range(count).map(i => Number((spec.range[0] + i * step).toFixed(10)));
+  }
+
+  static describe(params) {
+    return Object.entries(params).map(([name, value]) => `${name}=${value}`).join(' ');
+  }
+
+  // Grid takes every point; random and halving draw `trials` distinct points with the seed
+  candidates(family, strategy, options = {}) {
+    const space = SEARCH_SPACE[family];
+    const names = Object.keys(space);
+    const points = names.reduce(
+      (partial, name) => partial.flatMap(point =>
+        Tuner.gridValues(space[name]).map(value => ({ ...point, [name]: value }))),
+      [{}]
+    );
+
+    const trials = options.trials || 40;
+    if (strategy === 'grid' || trials >= points.length) return points;
+
+    const random = new Random(`${options.seed ?? 1}:${family}`);
+    for (let i = 0; i < trials; i++) {
+      const j = i + random.int(points.length - i);
+      [points[i], points[j]] = [points[j], points[i]];
+    }
+    return points.slice(0, trials);
+  }
+
+  // draws are most recent first, as DataFetcher returns them
+  // Views keep their caches between candidates, so a pattern scan or EMA is done once
+  // per window however many candidates ask for it
+  windows(draws) {
+    const store = FeatureStore.from(draws);
+    const windows = [];
+    for (let i = this.minHistory; i < store.length; i++) {
+      windows.push({
+        issue: store.draws[i].issue,
+        actual: store.draws[i].outcome,
+        view: store.view(i, this.maxWindow)
+      });
+    }
+    return windows;
+  }
+
+  // Segment boundaries as [start, end) offsets into the windows
+  segments(length) {
+    const size = length / (this.folds + 1);
+    return _.range(this.folds + 1).map(i => [Math.round(i * size), Math.round((i + 1) * size)]);
+  }
+
+  // Extends a candidate's hit list to cover the first `upTo` windows
+  async evaluate(candidate, windows, upTo = windows.length) {
+    for (let i = candidate.hits.length; i < upTo; i++) {
+      const model = { type: candidate.family, ...candidate.params };
+      if (candidate.family === 'STATISTICAL') model.method = STATISTICAL_METHODS.indexOf(model.method);
+      const vote = await this.engine.familyPrediction(model, windows[i].view);
+      candidate.hits.push(vote === windows[i].actual);
+    }
+  }
+
+  hitRate(hits, from, to) {
+    const slice = hits.slice(from, to);
+    return slice.length ? slice.filter(Boolean).length / slice.length : 0;
+  }
+
+  score(candidate, segments) {
+    const folds = segments.slice(1).map(([start, end]) => ({
+      inSample: this.hitRate(candidate.hits, 0, start),
+      outOfSample: this.hitRate(candidate.hits, start, end)
+    }));
+
+    const outOfSampleHits = candidate.hits.slice(segments[1][0]);
+    const wins = outOfSampleHits.filter(Boolean).length;
+    const inSample = _.meanBy(folds, 'inSample');
+    const outOfSample = outOfSampleHits.length ? wins / outOfSampleHits.length : 0;
+
+    return {
+      family: candidate.family,
+      params: candidate.params,
+      inSample,
+      outOfSample,
+      gap: inSample - outOfSample,
+      samples: outOfSampleHits.length,
+      pValue: Statistics.binomialTest(wins, outOfSampleHits.length, 0.5),
+      overfit: inSample - outOfSample > this.overfitTolerance,
+      folds
+    };
+  }
+
+  // Successive halving: score everyone on a short prefix of the history, keep the best
+  // 1/eta, and repeat on a prefix eta times longer until the survivors run on all of it
+  async halve(pool, windows) {
+    const rungs = [];
+    const keep = this.selectTop;
+    const rounds = Math.max(0, Math.ceil(Math.log(pool.length / keep) / Math.log(this.eta)));
+    let budget = Math.max(this.folds + 1, Math.ceil(windows.length / this.eta ** rounds));
+
+    while (pool.length > keep && budget < windows.length) {
+      for (const candidate of pool) await this.evaluate(candidate, windows, budget);
+
+      const ranked = _.orderBy(pool, [c => this.hitRate(c.hits, 0, budget), c => c.key], ['desc', 'asc']);
+      const survivors = ranked.slice(0, Math.max(keep, Math.ceil(pool.length / this.eta)));
+      rungs.push({ budget, candidates: pool.length, kept: survivors.length });
+
+      pool = survivors;
+      budget *= this.eta;
+    }
+    return { pool, rungs };
+  }
+
+  // Would picking the in-sample leaders have held up? For each fold, the top candidates
+  // by in-sample hit rate are followed onto that fold's out-of-sample segment.
+  selection(scores) {
+    const folds = _.range(this.folds).map(k => {
+      const leaders = _.orderBy(scores, [s => s.folds[k].inSample], ['desc']).slice(0, this.selectTop);
+      return {
+        inSample: _.meanBy(leaders, s => s.folds[k].inSample),
+        outOfSample: _.meanBy(leaders, s => s.folds[k].outOfSample)
+      };
+    });
+
+    const inSample = _.meanBy(folds, 'inSample');
+    const outOfSample = _.meanBy(folds, 'outOfSample');
+    return {
+      top: Math.min(this.selectTop, scores.length),
+      inSample,
+      outOfSample,
+      gap: inSample - outOfSample,
+      overfit: inSample - outOfSample > this.overfitTolerance,
+      folds
+    };
+  }
+
+  async tune(draws, options = {}) {
+    const { family, strategy = 'grid', seed = 1 } = options;
+    if (!SEARCH_SPACE[family]) {
+      throw new Error(`Unknown family "${family}" (expected one of: ${Object.keys(SEARCH_SPACE).join(', ')})`);
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown strategy "${strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+    }
+
+    const windows = this.windows(draws);
+    const needed = (this.folds + 1) * 10;
+    if (windows.length < needed) {
+      throw new Error(`Need at least ${needed + this.minHistory} draws for ${this.folds} folds, have ${draws.length}`);
+    }
+
+    const candidates = this.candidates(family, strategy, options).map(params => ({
+      family,
+      params,
+      key: Tuner.describe(params),
+      hits: []
+    }));
+
+    const { pool, rungs } = strategy === 'halving'
+      ? await this.halve(candidates, windows)
+      : { pool: candidates, rungs: [] };
+    for (const candidate of pool) await this.evaluate(candidate, windows);
+
+    const segments = this.segments(windows.length);
+    const scores = pool.map(candidate => this.score(candidate, segments));
+    // Ranked on what the walk-forward saw out of sample; in-sample only breaks ties
+    const leaderboard = _.orderBy(
+      scores,
+      ['outOfSample', 'inSample', s => Tuner.describe(s.params)],
+      ['desc', 'desc', 'asc']
+    );
+
+    return {
+      family,
+      strategy,
+      seed,
+      samples: windows.length,
+      firstIssue: windows[0].issue,
+      lastIssue: windows[windows.length - 1].issue,
+      folds: this.folds,
+      evaluated: candidates.length,
+      rungs,
+      leaderboard,
+      selection: this.selection(scores)
+    };
+  }
+
+  // Copies an ensemble config with each tuned family's grid replaced by its leaderboard:
+  // model i of the family takes the i-th best candidate that didn't look overfit. The
+  // family keeps its model count, so when fewer candidates survive (halving keeps only
+  // selectTop) the grid cycles through them rather than one model taking the family's
+  // whole weight.
+  exportConfig(baseConfig, results) {
+    const config = _.cloneDeep(baseConfig);
+    const distinct = {};
+
+    for (const result of results) {
+      const family = config.families[result.family];
+      if (!family) continue;
+
+      const picked = result.leaderboard.filter(s => !s.overfit).slice(0, family.count);
+      if (picked.length === 0) continue;
+
+      distinct[result.family] = picked.length;
+      for (const name of Object.keys(SEARCH_SPACE[result.family])) {
+        family.params[name] = { values: picked.map(s => s.params[name]) };
+      }
+    }
+
+    config.tuning = {
+      generatedAt: new Date().toISOString(),
+      families: Object.fromEntries(results.map(result => [result.family, {
+        strategy: result.strategy,
+        seed: result.seed,
+        samples: result.samples,
+        folds: result.folds,
+        range: [result.firstIssue, result.lastIssue],
+        models: config.families[result.family] ? config.families[result.family].count : null,
+        distinctCandidates: distinct[result.family] ?? 0,
+        outOfSample: result.leaderboard.length ? Number(result.leaderboard[0].outOfSample.toFixed(4)) : null,
+        selectionOverfit: result.selection.overfit
+      }]))
+    };
+
+    const problems = validateEnsembleConfig(config);
+    if (problems.length > 0) throw new Error(`Tuned config is invalid:\n  ${problems.join('\n  ')}`);
+    return config;
+  }
+}
@@ -0,0 +1,114 @@
+import _ from 'lodash';
+import { DIGITS, SIZES, sizeOf, colorsOf } from './resultDecoder.js';
+import { IssueNumbers } from '../utils/issueNumbers.js';
+
+// What each drawn digit becomes in an alphabet, and the deepest context kept for it.
+// The depth bounds memory: a digit context of 4 already has 10^4 possible histories.
+export const ALPHABETS = {
+  size: { symbols: SIZES, depth: 12, symbolOf: digit => sizeOf(digit) },
+  color: { symbols: ['RED', 'RED+VIOLET', 'GREEN', 'GREEN+VIOLET'], depth: 8, symbolOf: digit => colorsOf(digit).join('+') },
+  digit: { symbols: DIGITS.map(String), depth: 4, symbolOf: digit => String(digit) }
+};
+
+// Variable-order Markov model over one alphabet: PPM with escape method C, blended
+// across orders rather than using exclusions. Each observed draw counts once in every
+// context of the symbols before it, from order 0 up to the alphabet's depth. A forecast
+// starts from the uniform distribution and mixes in each deeper context seen so far:
+//   p_k(s) = (count_k(s) + distinct_k * p_{k-1}(s)) / (total_k + distinct_k)
+export class VariableOrderMarkov {
+  constructor(alphabet = 'size') {
+    this.alphabet = alphabet;
+    this.spec = ALPHABETS[alphabet];
+    if (!this.spec) {
+      throw new Error(`Unknown alphabet "${alphabet}" (expected one of: ${Object.keys(ALPHABETS).join(', ')})`);
+    }
+
+    const { symbols, symbolOf } = this.spec;
+    this.codes = DIGITS.map(digit => symbols.indexOf(symbolOf(digit)));
+    // Chance a symbol is BIG, taking every digit it covers as equally likely
+    this.bigShare = symbols.map((symbol, code) => {
+      const digits = DIGITS.filter(digit => this.codes[digit] === code);
+      return digits.filter(digit => sizeOf(digit) === 'BIG').length / digits.length;
+    });
+    this.reset();
+  }
+
+  reset() {
+    this.contexts = new Map();
+    // Codes of the last `depth` draws, most recent first
+    this.recent = [];
+    this.lastIssue = null;
+    this.observed = 0;
+    // Set once it holds history from outside a FeatureStore, e.g. the archive
+    this.pretrained = false;
+  }
+
+  // Draws at or before the last issue seen are skipped, so overlapping feeds (the
+  // archive, then every live window) are only counted once
+  observe(draw) {
+    if (this.lastIssue !== null && IssueNumbers.compare(draw.issue, this.lastIssue) <= 0) return false;
+
+    const code = this.codes[draw.number];
+    let key = '';
+    for (let order = 0; order <= this.recent.length; order++) {
+      if (order > 0) key += `${this.recent[order - 1]},`;
+      this.count(key, code);
+    }
+
+    this.recent.unshift(code);
+    if (this.recent.length > this.spec.depth) this.recent.pop();
+    this.lastIssue = String(draw.issue);
+    this.observed++;
+    return true;
+  }
+
+  count(key, code) {
+    let context = this.contexts.get(key);
+    if (!context) {
+      context = { counts: this.spec.symbols.map(() => 0), total: 0, distinct: 0 };
+      this.contexts.set(key, context);
+    }
+    if (context.counts[code]++ === 0) context.distinct++;
+    context.total++;
+  }
+
+  // draws are chronological (oldest first)
+  train(draws) {
+    for (const draw of draws) this.observe(draw);
+    return this;
+  }
+
+  // Next-symbol forecast after `digits` (most recent first), from contexts of at most
+  // maxOrder symbols; orders past the alphabet's depth behave like its depth. counts
+  // are those of the deepest context that has been seen, whose order is reported.
+  forecast(digits, maxOrder = this.spec.depth) {
+    const { symbols } = this.spec;
+    let probabilities = symbols.map(() => 1 / symbols.length);
+    let matched = null;
+    let order = -1;
+    let key = '';
+
+    const deepest = Math.min(maxOrder, this.spec.depth, digits.length);
+    for (let k = 0; k <= deepest; k++) {
+      if (k > 0) key += `${this.codes[digits[k - 1]]},`;
+      const context = this.contexts.get(key);
+      if (!context) break;
+
+      probabilities = probabilities.map((p, s) =>
+        (context.counts[s] + context.distinct * p) / (context.total + context.distinct));
+      matched = context;
+      order = k;
+    }
+
+    return {
+      alphabet: this.alphabet,
+      order,
+      context: digits.slice(0, Math.max(order, 0)).map(digit => symbols[this.codes[digit]]),
+      probabilities: _.zipObject(symbols, probabilities),
+      counts: _.zipObject(symbols, matched ? matched.counts : symbols.map(() => 0)),
+      contextTotal: matched ? matched.total : 0,
+      bigProbability: _.sum(probabilities.map((p, s) => p * this.bigShare[s])),
+      trainedOn: this.observed
+    };
+  }
+}
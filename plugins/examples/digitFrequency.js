@@ -0,0 +1,39 @@
+// Example model plugin. Only .js files directly inside plugins/ (or WINGO_PLUGIN_DIR)
+// are loaded, so copy this file up a directory to add it to the ensemble.
+//
+// Votes with the share of BIG results over the last `lookback` draws, smoothed towards
+// the long-run share it learns from the training window and every settled issue after.
+// That share is state, so the plugin is a factory and each registry gets its own.
+export default function digitFrequency() {
+  const longRun = { big: 0, total: 0 };
+
+  return {
+    id: 'DIGIT_FREQUENCY',
+    family: 'DIGIT_FREQUENCY',
+    weight: 0.05,
+    params: {
+      lookback: { type: 'integer', default: 30, min: 5, max: 200 },
+      smoothing: { type: 'number', default: 10, min: 0 },
+      contrarian: { type: 'boolean', default: false }
+    },
+
+    train(data) {
+      longRun.big = data.filter(d => d.outcome === 'BIG').length;
+      longRun.total = data.length;
+    },
+
+    // Returns the probability of BIG; the registry turns it into a vote
+    predict(data, features, params) {
+      const recent = data.slice(0, params.lookback);
+      const big = recent.filter(d => d.outcome === 'BIG').length;
+      const prior = longRun.total ? longRun.big / longRun.total : 0.5;
+      const share = (big + params.smoothing * prior) / (recent.length + params.smoothing);
+      return params.contrarian ? 1 - share : share;
+    },
+
+    update(result) {
+      longRun.total++;
+      if (result.outcome === 'BIG') longRun.big++;
+    }
+  };
+}
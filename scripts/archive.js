@@ -0,0 +1,73 @@
+// Moves draw archives between environments.
+//
+//   node scripts/archive.js export [--game 1M] [--from ISSUE] [--to ISSUE] [--out FILE]
+//   node scripts/archive.js import FILE [--game 1M]
+//
+// Exports are NDJSON, oldest first, in the format FileSource replays. Imports accept
+// anything FileSource reads (NDJSON, a JSON array or an upstream { data: { list } }
+// payload); rows go through the same validation as live fetches.
+import { promises as fs } from 'fs';
+import { CacheManager } from '../lib/cacheManager.js';
+import { DrawArchive } from '../lib/drawArchive.js';
+import { DataValidator } from '../lib/dataValidator.js';
+import { FileSource } from '../lib/sources/fileSource.js';
+import { resolveGame } from '../lib/games.js';
+import { CliArgs } from '../utils/cliArgs.js';
+
+async function exportArchive(archive, args) {
+  const draws = await archive.query({ fromIssue: args.from, toIssue: args.to });
+  const lines = draws.reverse().map(draw => JSON.stringify(archive.toRecord(draw)));
+  const output = lines.length ? lines.join('\n') + '\n' : '';
+
+  if (args.out) {
+    await fs.writeFile(args.out, output);
+    console.error(`Exported ${lines.length} draws to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+async function importArchive(archive, game, file) {
+  const source = new FileSource({ game, path: file, step: false, issueClock: archive.issueClock });
+  const draws = await source.fetchDraws();
+  // now = Infinity skips the premature-issue check: a file's issues are taken as drawn,
+  // whatever the wall clock says. Every other check still applies.
+  const report = new DataValidator({ game, issueClock: archive.issueClock }).validate(draws, Infinity);
+  const added = await archive.append(report.valid);
+
+  console.error(`Imported ${added} new draws from ${file} (${report.valid.length} valid, ` +
+    `${report.quarantined.length} quarantined, ${report.gaps.length} gaps)`);
+  for (const { draw, reasons } of report.quarantined.slice(0, 20)) {
+    console.error(`  ${draw.issue}: ${reasons.join('; ')}`);
+  }
+}
+
+async function main() {
+  const args = CliArgs.parse(process.argv.slice(2));
+  const [command, file] = args.positional;
+  const game = resolveGame(args.game);
+
+  if (!game) throw new Error(`Unknown game "${args.game}"`);
+  if (command !== 'export' && command !== 'import') {
+    throw new Error('Usage: archive.js export [--game G] [--from ISSUE] [--to ISSUE] [--out FILE] | import FILE [--game G]');
+  }
+  if (command === 'import' && !file) throw new Error('import needs a file to read');
+
+  const cache = new CacheManager();
+  await cache.ready;
+  try {
+    const archive = new DrawArchive(cache, { game });
+    if (command === 'export') {
+      await exportArchive(archive, args);
+    } else {
+      await importArchive(archive, game, file);
+    }
+  } finally {
+    await cache.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
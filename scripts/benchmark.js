@@ -0,0 +1,108 @@
+// Measures how fast the ensemble runs, on a fixed synthetic history so runs compare.
+//
+//   node scripts/benchmark.js [--requests 50] [--issues 10000] [--save FILE] [--compare FILE]
+//
+// "single request" times predictNextOutcome on the latest 200 draws, the work behind
+// one /api/predict call. "replay" times a Backtester pass over --issues issues, the
+// loop backtests, simulations and the tuner spend their time in. --save writes the
+// numbers and every replayed prediction; --compare reads such a file (e.g. from an
+// older checkout) and reports the speed-up and whether the predictions still agree.
+import { promises as fs } from 'fs';
+import { performance } from 'perf_hooks';
+import { EnsembleEngine } from '../lib/ensembleEngine.js';
+import { Backtester } from '../lib/backtester.js';
+import { SyntheticSource } from '../lib/sources/syntheticSource.js';
+import { GAMES, DEFAULT_GAME } from '../lib/games.js';
+import { CliArgs } from '../utils/cliArgs.js';
+
+const WINDOW = 200;
+// A fixed clock keeps the synthetic issues, and so the digits, identical between runs
+const CLOCK = Date.UTC(2024, 0, 1);
+
+async function singleRequest(engine, draws, requests) {
+  const window = draws.slice(0, WINDOW);
+  await engine.predictNextOutcome(window); // warm-up
+
+  const started = performance.now();
+  for (let i = 0; i < requests; i++) await engine.predictNextOutcome(window);
+  const seconds = (performance.now() - started) / 1000;
+
+  return {
+    requests,
+    seconds,
+    requestsPerSecond: requests / seconds,
+    modelPredictionsPerSecond: (requests * engine.models.length) / seconds
+  };
+}
+
+async function replay(engine, draws) {
+  const backtester = new Backtester(engine, { maxWindow: WINDOW });
+  const started = performance.now();
+  const report = await backtester.run(draws);
+  const seconds = (performance.now() - started) / 1000;
+
+  return {
+    issues: report.samples,
+    seconds,
+    issuesPerSecond: report.samples / seconds,
+    modelPredictionsPerSecond: (report.samples * engine.models.length) / seconds,
+    hitRate: report.hitRate,
+    predictions: report.trace.map(step => (step.predicted === 'BIG' ? 'B' : 'S')).join('')
+  };
+}
+
+function compare(current, baseline) {
+  const agreeing = [...current.replay.predictions]
+    .filter((prediction, i) => prediction === baseline.replay.predictions[i]).length;
+
+  return {
+    singleRequestSpeedup: current.single.requestsPerSecond / baseline.single.requestsPerSecond,
+    replaySpeedup: current.replay.issuesPerSecond / baseline.replay.issuesPerSecond,
+    identicalPredictions: agreeing / Math.max(current.replay.predictions.length, baseline.replay.predictions.length)
+  };
+}
+
+async function main() {
+  const args = CliArgs.parse(process.argv.slice(2));
+  const requests = parseInt(args.requests) || 50;
+  const issues = parseInt(args.issues) || 10000;
+
+  const engine = new EnsembleEngine();
+  const backtesterFloor = new Backtester(engine).minHistory;
+  const source = new SyntheticSource({
+    game: GAMES[DEFAULT_GAME],
+    size: issues + backtesterFloor,
+    seed: 42,
+    clock: () => CLOCK
+  });
+  const draws = await source.fetchDraws();
+
+  console.log(`${engine.models.length} models, ${draws.length} synthetic draws`);
+
+  const single = await singleRequest(engine, draws, requests);
+  console.log(`single request  ${single.requestsPerSecond.toFixed(1)} predictions/s ` +
+    `(${Math.round(single.modelPredictionsPerSecond)} model votes/s, ${requests} requests in ${single.seconds.toFixed(2)}s)`);
+
+  const replayed = await replay(engine, draws);
+  console.log(`replay          ${replayed.issuesPerSecond.toFixed(1)} predictions/s ` +
+    `(${Math.round(replayed.modelPredictionsPerSecond)} model votes/s, ${replayed.issues} issues in ${replayed.seconds.toFixed(2)}s)`);
+
+  const result = { measuredAt: new Date().toISOString(), models: engine.models.length, single, replay: replayed };
+
+  if (args.compare) {
+    const baseline = JSON.parse(await fs.readFile(args.compare, 'utf8'));
+    const { singleRequestSpeedup, replaySpeedup, identicalPredictions } = compare(result, baseline);
+    console.log(`vs ${args.compare}: single request ${singleRequestSpeedup.toFixed(2)}x, replay ${replaySpeedup.toFixed(2)}x, ` +
+      `${(identicalPredictions * 100).toFixed(2)}% identical predictions`);
+  }
+
+  if (args.save) {
+    await fs.writeFile(args.save, JSON.stringify(result) + '\n');
+    console.log(`Saved to ${args.save}`);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+// Self-hosted mode: serves every handler in api/ from one Node process, with the same
+// req.query / req.body / res.status().json() helpers the Vercel runtime provides.
+//
+//   PORT (3000), HOST (0.0.0.0), WINGO_SHUTDOWN_GRACE_SECONDS (10), plus every WINGO_*
+//   and REDIS_URL setting the routes already read.
+import http from 'http';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { CacheManager } from './lib/cacheManager.js';
+import { GAMES } from './lib/games.js';
+
+const PORT = parseInt(process.env.PORT) || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+const SHUTDOWN_GRACE_SECONDS = parseFloat(process.env.WINGO_SHUTDOWN_GRACE_SECONDS) || 10;
+const API_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'api');
+
+const startedAt = Date.now();
+
+// /api/<name> maps to api/<name>.js, so new routes are picked up without touching this file
+async function loadRoutes() {
+  const files = (await fs.readdir(API_DIRECTORY)).filter(file => file.endsWith('.js'));
+  const routes = new Map();
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(API_DIRECTORY, file)).href);
+    if (typeof module.default === 'function') {
+      routes.set(`/api/${path.basename(file, '.js')}`, module.default);
+    }
+  }
+  return routes;
+}
+
+function decorate(req, res, url) {
+  req.query = Object.fromEntries(url.searchParams);
+
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    if (!res.headersSent) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = body => {
+    if (typeof body === 'object' && body !== null && !Buffer.isBuffer(body)) return res.json(body);
+    res.end(body);
+    return res;
+  };
+}
+
+async function readBody(req) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return undefined;
+
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString('utf8');
+  if (!raw) return undefined;
+
+  // Like Vercel: JSON bodies are parsed, anything else is passed through as text
+  if ((req.headers['content-type'] || '').includes('application/json')) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+function health(routes) {
+  const cache = CacheManager.shared();
+  return {
+    status: 'ok',
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+    redis: cache.redisClient ? 'connected' : 'unavailable (using local storage)',
+    source: process.env.WINGO_SOURCE || 'http',
+    games: Object.keys(GAMES),
+    routes: [...routes.keys()],
+    timestamp: new Date().toISOString()
+  };
+}
+
+async function main() {
+  const routes = await loadRoutes();
+  const sockets = new Set();
+  const streams = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    decorate(req, res, url);
+
+    try {
+      if (url.pathname === '/health' || url.pathname === '/api/health') {
+        return res.status(200).json(health(routes));
+      }
+
+      const route = routes.get(url.pathname.replace(/\/$/, ''));
+      if (!route) {
+        return res.status(404).json({
+          status: 'error',
+          message: `No route for ${url.pathname}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.body = await readBody(req);
+      res.on('close', () => streams.delete(res));
+      const pending = route(req, res);
+      if (String(res.getHeader('Content-Type')).startsWith('text/event-stream')) streams.add(res);
+      await pending;
+    } catch (error) {
+      console.error(`Unhandled error in ${url.pathname}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          status: 'error',
+          message: 'Internal server error',
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  let stopping = false;
+  const shutdown = signal => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} received, shutting down`);
+
+    // Let in-flight requests finish, then release Redis before exiting
+    server.close(async () => {
+      try {
+        await CacheManager.closeShared();
+      } catch (error) {
+        console.error('Redis shutdown failed:', error.message);
+      }
+      process.exit(0);
+    });
+    server.closeIdleConnections();
+
+    // Event streams never finish on their own; anything else gets the grace period
+    for (const res of streams) res.end();
+    setTimeout(() => {
+      for (const socket of sockets) socket.destroy();
+    }, SHUTDOWN_GRACE_SECONDS * 1000).unref();
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  server.listen(PORT, HOST, () => {
+    console.log(`WinGo predictor listening on http://${HOST}:${PORT} (${[...routes.keys()].join(', ')})`);
+  });
+}
+
+main().catch(error => {
+  console.error('Server failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Calibrator } from '../lib/calibrator.js';
+
+// Settled entries whose vote share was `share` and whose outcome was BIG in `bigRate` of them
+function entries(share, bigRate, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    issue: String(1000 + i),
+    bigShare: share,
+    outcome: i < Math.round(count * bigRate) ? 'BIG' : 'SMALL',
+    settledAt: '2024-05-16T00:00:00.000Z'
+  }));
+}
+
+test('too few settled issues leave the vote share uncalibrated', () => {
+  const calibrator = new Calibrator({ method: 'platt', minSamples: 30 });
+  const model = calibrator.fit(entries(0.7, 0.5, 10));
+  assert.deepEqual(model, { method: 'identity', fitted: false, samples: 10 });
+  assert.equal(calibrator.predict(model, 0.7), 0.7);
+});
+
+test('Platt scaling pulls an overconfident vote share back toward the observed rate', () => {
+  const calibrator = new Calibrator({ method: 'platt' });
+  const model = calibrator.fit([...entries(0.8, 0.5, 50), ...entries(0.2, 0.5, 50)]);
+
+  assert.equal(model.fitted, true);
+  assert.equal(model.samples, 100);
+  assert.ok(Math.abs(calibrator.predict(model, 0.8) - 0.5) < 0.05);
+  assert.ok(Math.abs(calibrator.predict(model, 0.2) - 0.5) < 0.05);
+});
+
+test('Platt scaling keeps a vote share that is already calibrated', () => {
+  const calibrator = new Calibrator({ method: 'platt' });
+  const model = calibrator.fit([...entries(0.8, 0.8, 100), ...entries(0.2, 0.2, 100)]);
+  assert.ok(Math.abs(calibrator.predict(model, 0.8) - 0.8) < 0.02);
+  assert.ok(Math.abs(calibrator.predict(model, 0.2) - 0.2) < 0.02);
+});
+
+test('isotonic regression fits a monotone step function kept off 0 and 1', () => {
+  const calibrator = new Calibrator({ method: 'isotonic' });
+  const model = calibrator.fit([...entries(0.3, 0, 20), ...entries(0.5, 0.5, 20), ...entries(0.7, 1, 20)]);
+
+  const values = model.blocks.map(block => block.value);
+  assert.deepEqual([...values].sort((a, b) => a - b), values);
+  assert.ok(values.every(value => value > 0 && value < 1));
+  assert.ok(calibrator.predict(model, 0.3) < 0.01);
+  assert.equal(calibrator.predict(model, 0.5), 0.5);
+  assert.ok(calibrator.predict(model, 0.9) > 0.99);
+});
+
+test('evaluate scores the calibration on issues it was not fitted on', () => {
+  const calibrator = new Calibrator({ method: 'platt', holdout: 0.3 });
+  // Overconfident either way, with BIG and SMALL alternating through the history
+  const history = Array.from({ length: 120 }, (_, i) => ({
+    issue: String(1000 + i),
+    bigShare: i % 4 < 2 ? 0.8 : 0.2,
+    outcome: i % 2 === 0 ? 'BIG' : 'SMALL',
+    settledAt: '2024-05-16T00:00:00.000Z'
+  }));
+  const evaluation = calibrator.evaluate(history);
+
+  assert.equal(evaluation.trainSamples + evaluation.testSamples, 120);
+  assert.equal(evaluation.fitted, true);
+  assert.ok(evaluation.calibrated.brier < evaluation.raw.brier);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataValidator } from '../lib/dataValidator.js';
+import { IssueClock } from '../lib/issueClock.js';
+import { GAMES } from '../lib/games.js';
+
+const game = GAMES['1M'];
+const validator = new DataValidator({ game, issueClock: new IssueClock(game, { offsetMinutes: 0 }) });
+const now = Date.parse('2024-05-16T12:00:00Z');
+const draw = (sequence, result) => ({
+  issue: `2024051610001${String(sequence).padStart(4, '0')}`,
+  result,
+  number: /^\d$/.test(result) ? Number(result) : null
+});
+
+test('valid draws come back most recent first with the gaps between them', () => {
+  const report = validator.validate([draw(521, '3'), draw(524, '8'), draw(522, '1')], now);
+  assert.deepEqual(report.valid.map(d => d.issue), ['20240516100010524', '20240516100010522', '20240516100010521']);
+  assert.equal(report.outOfOrder, 1);
+  assert.deepEqual(report.gaps.map(gap => gap.missing), [['20240516100010523']]);
+  assert.deepEqual(report.quarantined, []);
+});
+
+test('malformed rows are quarantined with their reasons', () => {
+  const report = validator.validate([
+    { issue: '20240516100050521', result: '3', number: 3 },
+    draw(0, '3'),
+    draw(522, 'x'),
+    { result: '4', number: 4 },
+    draw(1439, '5')
+  ], now);
+
+  assert.deepEqual(report.valid, []);
+  assert.deepEqual(report.quarantined.map(q => q.reasons[0]), [
+    'issue code 10005 does not belong to 1M',
+    'sequence 0 is outside 1-1440',
+    'result "x" is not a digit 0-9',
+    'missing issue number',
+    'issue closes at 2024-05-16T23:59:00.000Z, after the fetch'
+  ]);
+});
+
+test('a repeated issue is dropped, and conflicting results drop both rows', () => {
+  const repeated = validator.validate([draw(522, '1'), draw(522, '1'), draw(521, '3')], now);
+  assert.equal(repeated.duplicates, 1);
+  assert.deepEqual(repeated.valid.map(d => d.issue), ['20240516100010522', '20240516100010521']);
+
+  const conflicting = validator.validate([draw(522, '1'), draw(522, '6'), draw(521, '3')], now);
+  assert.deepEqual(conflicting.valid.map(d => d.issue), ['20240516100010521']);
+  assert.equal(conflicting.quarantined.length, 2);
+  assert.match(conflicting.quarantined[0].reasons[0], /conflicting results/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import _ from 'lodash';
+import * as math from 'mathjs';
+import { FeatureStore } from '../lib/featureStore.js';
+import { EnsembleEngine } from '../lib/ensembleEngine.js';
+import { IssueClock } from '../lib/issueClock.js';
+import { normalizeDraw } from '../lib/sources/normalizeDraw.js';
+import { GAMES } from '../lib/games.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'wingo-1m.ndjson');
+const issueClock = new IssueClock(GAMES['1M'], { offsetMinutes: 0 });
+
+// Oldest first, as the fixture lists them
+const draws = fs.readFileSync(FIXTURE, 'utf8').trim().split('\n')
+  .map(line => normalizeDraw(JSON.parse(line), { issueClock }));
+// Most recent first ending at chronological position `end`, as DataFetcher returns a window
+const window = (end, size = 100) => draws.slice(Math.max(0, end - size), end).reverse();
+
+test('view means and standard deviations match lodash and mathjs on the raw numbers', () => {
+  const data = window(150);
+  const view = FeatureStore.from(data).view();
+  const numbers = data.map(d => d.number);
+
+  for (const [from, count] of [[0, 5], [5, 5], [3, 20], [90, 20], [0, 100]]) {
+    const slice = numbers.slice(from, from + count);
+    assert.ok(Math.abs(view.mean(from, count) - _.mean(slice)) < 1e-12, `mean(${from}, ${count})`);
+    assert.ok(Math.abs(view.std(from, count) - math.std(slice)) < 1e-9, `std(${from}, ${count})`);
+  }
+  assert.ok(Number.isNaN(view.mean(100, 5)));
+  assert.equal(view.std(99, 5), 0);
+});
+
+test('a view sees only the draws up to its end, most recent first', () => {
+  const store = FeatureStore.from(window(120));
+  const view = store.view(store.length - 10, 30);
+  assert.equal(view.length, 30);
+  assert.equal(view.at(0).issue, draws[109].issue);
+  assert.deepEqual(view.numbers(3), [draws[109].number, draws[108].number, draws[107].number]);
+});
+
+test('syncing window after window appends the new issues and matches a fresh store', () => {
+  const store = FeatureStore.from(window(100));
+  for (let end = 101; end <= 110; end++) store.sync(window(end));
+
+  const fresh = FeatureStore.from(window(110));
+  assert.equal(store.view(undefined, 100).at(0).issue, draws[109].issue);
+  assert.equal(store.view(undefined, 100).mean(0, 50), fresh.view().mean(0, 50));
+  assert.equal(store.view(undefined, 100).std(0, 50), fresh.view().std(0, 50));
+});
+
+test('the ensemble predicts the same from a synced store as from a fresh one', async () => {
+  const engine = new EnsembleEngine();
+  const store = FeatureStore.from(window(150));
+
+  for (let end = 151; end <= 155; end++) {
+    const data = window(end);
+    const synced = await engine.predictNextOutcome(data, { view: store.sync(data).view(undefined, data.length) });
+    const fresh = await engine.predictNextOutcome(data);
+    assert.deepEqual(synced.modelVotes, fresh.modelVotes, `window ending ${data[0].issue}`);
+    assert.equal(synced.confidence, fresh.confidence);
+  }
+});
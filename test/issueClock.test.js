@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IssueClock } from '../lib/issueClock.js';
+import { GAMES } from '../lib/games.js';
+
+const clock = new IssueClock(GAMES['1M'], { offsetMinutes: 0 });
+
+test('parse splits an issue into its game day, code and sequence', () => {
+  assert.deepEqual(clock.parse('20240516100010521'), {
+    dayStart: Date.UTC(2024, 4, 16),
+    code: '10001',
+    sequence: 521
+  });
+  assert.equal(clock.parse('not-an-issue'), null);
+  assert.equal(clock.closeTime('20240516100010001').toISOString(), '2024-05-16T00:01:00.000Z');
+});
+
+test('parse honours the game-day offset', () => {
+  const shifted = new IssueClock(GAMES['1M'], { offsetMinutes: 330 });
+  assert.equal(shifted.parse('20240516100010001').dayStart, Date.UTC(2024, 4, 16) - 330 * 60000);
+});
+
+test('next steps one issue and rolls over into the next game day', () => {
+  assert.equal(clock.next('20240516100010521'), '20240516100010522');
+  assert.equal(clock.next('20240516100011440'), '20240517100010001');
+  assert.equal(clock.offset('20240517100010001', -1), '20240516100011440');
+  assert.equal(clock.next('garbage'), null);
+});
+
+test('findGaps lists every issue missing between draws, most recent first', () => {
+  const draws = ['20240516100010525', '20240516100010522', '20240516100010521'].map(issue => ({ issue }));
+  assert.deepEqual(clock.findGaps(draws), [{
+    after: '20240516100010522',
+    before: '20240516100010525',
+    missing: ['20240516100010523', '20240516100010524']
+  }]);
+});
+
+test('findGaps finds gaps across midnight and caps the missing list', () => {
+  const draws = ['20240517100010002', '20240516100011439'].map(issue => ({ issue }));
+  assert.deepEqual(clock.findGaps(draws)[0].missing, ['20240516100011440', '20240517100010001']);
+  assert.equal(clock.findGaps(draws, 1)[0].missing.length, 1);
+  assert.deepEqual(clock.findGaps([{ issue: '20240516100010522' }, { issue: '20240516100010521' }]), []);
+});
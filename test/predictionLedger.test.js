@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { PredictionLedger } from '../lib/predictionLedger.js';
+import { FileStore } from '../lib/fileStore.js';
+
+// Every cache method answers null, as CacheManager does without Redis
+const noRedis = new Proxy({}, { get: () => async () => null });
+
+async function fileLedger(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'wingo-ledger-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const game = path.basename(directory);
+  return new PredictionLedger(noRedis, {
+    game,
+    store: new FileStore(`ledger-${game}`, directory),
+    voteStore: new FileStore(`ledger-votes-${game}`, directory)
+  });
+}
+
+const prediction = outcome => ({ outcome, confidence: 60, bigVoteShare: 0.6, modelVotes: { TREND_0: outcome } });
+const draw = (issue, outcome) => ({ issue, outcome, number: outcome === 'BIG' ? 7 : 2 });
+
+test('record keeps the first prediction for an issue', async t => {
+  const ledger = await fileLedger(t);
+  const [first, second] = await Promise.all([
+    ledger.record('20240516100010521', prediction('BIG')),
+    ledger.record('20240516100010521', prediction('SMALL'))
+  ]);
+
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.equal(second.entry.prediction, 'BIG');
+  assert.equal((await ledger.getEntries()).length, 1);
+});
+
+test('settle settles an issue once, however often it is called', async t => {
+  const ledger = await fileLedger(t);
+  await ledger.record('20240516100010521', prediction('BIG'));
+  await ledger.record('20240516100010522', prediction('BIG'));
+  const draws = [draw('20240516100010521', 'BIG'), draw('20240516100010522', 'SMALL')];
+
+  const [first, second] = await Promise.all([ledger.settle(draws), ledger.settle(draws)]);
+  assert.deepEqual(first.map(e => [e.issue, e.result]), [['20240516100010521', 'WIN'], ['20240516100010522', 'LOSS']]);
+  assert.deepEqual(first[0].votes, { TREND_0: 'BIG' });
+  assert.deepEqual(second, []);
+  assert.deepEqual(await ledger.settle(draws), []);
+
+  const stats = await ledger.getStatistics();
+  assert.equal(stats.totalPredictions, 2);
+  assert.equal(stats.wins, 1);
+  assert.equal(stats.pending, 0);
+});
+
+test('settle leaves issues without a draw open', async t => {
+  const ledger = await fileLedger(t);
+  await ledger.record('20240516100010521', prediction('BIG'));
+  await ledger.record('20240516100010522', prediction('SMALL'));
+
+  const settled = await ledger.settle([draw('20240516100010521', 'SMALL')]);
+  assert.deepEqual(settled.map(e => e.issue), ['20240516100010521']);
+  assert.equal((await ledger.getStatistics()).pending, 1);
+  assert.deepEqual((await ledger.settle([draw('20240516100010522', 'SMALL')])).map(e => e.result), ['WIN']);
+});
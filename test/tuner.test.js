@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tuner } from '../lib/tuner.js';
+import { EnsembleConfig } from '../lib/ensembleConfig.js';
+
+const tuner = new Tuner(null, { folds: 4, overfitTolerance: 0.05 });
+
+test('segments cuts the windows into folds + 1 consecutive parts', () => {
+  assert.deepEqual(tuner.segments(100), [[0, 20], [20, 40], [40, 60], [60, 80], [80, 100]]);
+  const uneven = tuner.segments(23);
+  assert.equal(uneven[0][0], 0);
+  assert.equal(uneven[uneven.length - 1][1], 23);
+  uneven.slice(1).forEach(([start], i) => assert.equal(start, uneven[i][1]));
+});
+
+test('score judges each fold in-sample on what precedes it and out-of-sample on itself', () => {
+  // Always right on the first segment, right half the time afterwards
+  const hits = [...Array(20).fill(true), ...Array.from({ length: 80 }, (_, i) => i % 2 === 0)];
+  const score = tuner.score({ family: 'TREND_FOLLOWING', params: { window: 5 }, hits }, tuner.segments(100));
+
+  assert.equal(score.samples, 80);
+  assert.equal(score.outOfSample, 0.5);
+  assert.deepEqual(score.folds.map(f => f.outOfSample), [0.5, 0.5, 0.5, 0.5]);
+  assert.deepEqual(score.folds.map(f => f.inSample), [1, 0.75, 2 / 3, 0.625]);
+  assert.ok(Math.abs(score.inSample - (1 + 0.75 + 2 / 3 + 0.625) / 4) < 1e-12);
+  assert.equal(score.overfit, true);
+  assert.ok(score.pValue > 0.05);
+});
+
+test('score does not flag a steady candidate as overfit', () => {
+  const hits = Array.from({ length: 100 }, (_, i) => i % 3 !== 0);
+  const score = tuner.score({ family: 'TREND_FOLLOWING', params: { window: 5 }, hits }, tuner.segments(100));
+  assert.equal(score.overfit, false);
+  assert.ok(Math.abs(score.gap) < 0.05);
+});
+
+test('exportConfig keeps the family model count and cycles through the survivors', () => {
+  const base = new EnsembleConfig().current();
+  const leaderboard = [3, 4, 5, 6, 7].map(window => ({ params: { window, threshold: 0.1 }, outOfSample: 0.55, overfit: false }));
+  leaderboard.push({ params: { window: 30, threshold: 0 }, outOfSample: 0.6, overfit: true });
+  const config = tuner.exportConfig(base, [{
+    family: 'TREND_FOLLOWING',
+    strategy: 'halving',
+    leaderboard,
+    selection: { overfit: false }
+  }]);
+
+  assert.equal(config.families.TREND_FOLLOWING.count, base.families.TREND_FOLLOWING.count);
+  assert.deepEqual(config.families.TREND_FOLLOWING.params.window, { values: [3, 4, 5, 6, 7] });
+  assert.equal(config.tuning.families.TREND_FOLLOWING.distinctCandidates, 5);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VariableOrderMarkov } from '../lib/variableOrderMarkov.js';
+
+// Chronological draws with consecutive issue numbers
+const drawsOf = numbers => numbers.map((number, i) => ({ issue: `2024051610001${String(i + 1).padStart(4, '0')}`, number }));
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+test('forecast blends each context seen into the shallower orders (PPM, escape C)', () => {
+  // BIG SMALL BIG SMALL BIG
+  const model = new VariableOrderMarkov('size').train(drawsOf([7, 2, 7, 2, 7]));
+
+  // Order 0: BIG 3, SMALL 2 over the uniform prior
+  const order0 = model.forecast([7], 0);
+  assert.equal(order0.order, 0);
+  close(order0.probabilities.BIG, 4 / 7);
+  close(order0.probabilities.SMALL, 3 / 7);
+
+  // Order 1 after BIG: SMALL followed it both times
+  const order1 = model.forecast([7], 1);
+  assert.equal(order1.order, 1);
+  assert.deepEqual(order1.context, ['BIG']);
+  assert.deepEqual(order1.counts, { SMALL: 2, BIG: 0 });
+  close(order1.probabilities.SMALL, 17 / 21);
+  close(order1.bigProbability, 4 / 21);
+  assert.equal(order1.trainedOn, 5);
+});
+
+test('forecast stops at the deepest context that has been seen', () => {
+  const model = new VariableOrderMarkov('size').train(drawsOf([7, 7, 7]));
+  const forecast = model.forecast([2, 7, 7], 3);
+  assert.equal(forecast.order, 0);
+  assert.equal(forecast.contextTotal, 3);
+});
+
+test('draws at or before the last issue seen are counted once', () => {
+  const draws = drawsOf([1, 6, 3, 8]);
+  const model = new VariableOrderMarkov('digit').train(draws.slice(0, 3));
+  model.train(draws);
+  assert.equal(model.observed, 4);
+  assert.equal(model.lastIssue, draws[3].issue);
+});
+
+test('colour and digit forecasts fold into a BIG probability', () => {
+  const digits = new VariableOrderMarkov('digit');
+  close(digits.forecast([], 0).bigProbability, 0.5);
+
+  // GREEN+VIOLET is only ever 5, a BIG digit
+  const colors = new VariableOrderMarkov('color').train(drawsOf([5, 5, 5, 5]));
+  const forecast = colors.forecast([5], 0);
+  assert.ok(forecast.bigProbability > 0.5);
+  close(Object.values(forecast.probabilities).reduce((sum, p) => sum + p, 0), 1);
+  assert.throws(() => new VariableOrderMarkov('parity'), /Unknown alphabet/);
+});
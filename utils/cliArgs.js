@@ -0,0 +1,26 @@
+export class CliArgs {
+  // Splits argv into positional words and --options. "--key value" and "--key=value"
+  // both set a value; an option followed by another option (or nothing) is a flag.
+  static parse(argv) {
+    const args = { positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (!arg.startsWith('--')) {
+        args.positional.push(arg);
+        continue;
+      }
+
+      const [key, inline] = arg.slice(2).split(/=(.*)/s);
+      if (inline !== undefined) {
+        args[key] = inline;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        args[key] = argv[++i];
+      } else {
+        args[key] = true;
+      }
+    }
+
+    return args;
+  }
+}
@@ -0,0 +1,32 @@
+export class IssueNumbers {
+  // Issue numbers exceed Number.MAX_SAFE_INTEGER, so compare them as digit strings
+  static compare(a, b) {
+    const left = String(a);
+    const right = String(b);
+    if (left.length !== right.length) return left.length - right.length;
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  // Issues are prefixed with the draw date, e.g. 20240516100010845 -> 2024-05-16
+  static date(issue) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(issue));
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  // range can hold fromIssue/toIssue (inclusive) and/or startDate/endDate (YYYY-MM-DD)
+  static inRange(issue, range = {}) {
+    const { fromIssue, toIssue, startDate, endDate } = range;
+
+    if (fromIssue && IssueNumbers.compare(issue, fromIssue) < 0) return false;
+    if (toIssue && IssueNumbers.compare(issue, toIssue) > 0) return false;
+
+    if (startDate || endDate) {
+      const date = IssueNumbers.date(issue);
+      if (!date) return false;
+      if (startDate && date < startDate) return false;
+      if (endDate && date > endDate) return false;
+    }
+
+    return true;
+  }
+}
@@ -1,5 +1,6 @@
 import _ from 'lodash';
 
+// Outcome sequences are ordered most recent first, as DataFetcher serves them
 export class PatternRecognizer {
   static analyzeSequences(outcomes) {
     const patterns = {
@@ -16,7 +17,7 @@ export class PatternRecognizer {
     if (outcomes.length < 3) return false;
     
     let isAlternating = true;
-    for (let i = 2; i < outcomes.length; i++) {
+    for (let i = 1; i < outcomes.length; i++) {
       if (outcomes[i] === outcomes[i-1]) {
         isAlternating = false;
         break;
@@ -45,10 +46,12 @@ export class PatternRecognizer {
     return streaks;
   }
 
+  // Over a two-symbol alphabet a period-2 cycle is just alternation, which
+  // detectAlternating reports over the whole sequence, so cycles start at length 3
   static detectCycles(outcomes, maxCycleLength = 5) {
     const cycles = [];
     
-    for (let cycleLen = 2; cycleLen <= maxCycleLength; cycleLen++) {
+    for (let cycleLen = 3; cycleLen <= maxCycleLength; cycleLen++) {
       if (outcomes.length < cycleLen * 2) continue;
       
       let isCyclic = true;
@@ -59,7 +62,8 @@ export class PatternRecognizer {
         }
       }
       
-      if (isCyclic) {
+      // A repeated single value is a streak, not a cycle
+      if (isCyclic && new Set(outcomes.slice(0, cycleLen)).size > 1) {
         cycles.push({
           length: cycleLen,
           pattern: outcomes.slice(0, cycleLen)
@@ -89,7 +93,9 @@ export class PatternRecognizer {
     return clusters;
   }
 
-  static predictNextFromPatterns(patterns, recentOutcomes) {
+  static predictNextFromPatterns(patterns, recentOutcomes, options = {}) {
+    const reversalLength = options.reversalLength || 3;
+
     // Check for alternating pattern
     if (patterns.alternating) {
       return recentOutcomes[0] === 'BIG' ? 'SMALL' : 'BIG';
@@ -97,11 +103,11 @@ export class PatternRecognizer {
     
     // Check for streaks
     const streaks = patterns.streaks;
-    if (streaks.length > 0) {
-      const currentStreak = streaks[streaks.length - 1];
+    if (streaks.length > 0 && streaks[0].type) {
+      const currentStreak = streaks[0];
       
-      // If streak is short (<3), it might continue
-      if (currentStreak.length < 3) {
+      // If streak is short, it might continue
+      if (currentStreak.length < reversalLength) {
         return currentStreak.type;
       }
       // If streak is long, expect reversal
@@ -110,11 +116,10 @@ export class PatternRecognizer {
       }
     }
     
-    // Check for cycles
+    // Check for cycles; the draw after the newest one repeats the oldest in the cycle
     if (patterns.cycles.length > 0) {
       const cycle = patterns.cycles[0];
-      const cycleIndex = recentOutcomes.length % cycle.length;
-      return cycle.pattern[cycleIndex];
+      return cycle.pattern[cycle.length - 1];
     }
     
     return null; // No clear pattern
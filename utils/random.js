@@ -0,0 +1,28 @@
+// Small seeded PRNG (mulberry32) so simulations and synthetic data are reproducible
+export class Random {
+  constructor(seed = 1) {
+    this.state = Random.hashSeed(seed);
+  }
+
+  static hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+}
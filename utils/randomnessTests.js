@@ -0,0 +1,230 @@
+import _ from 'lodash';
+import { Statistics } from './statistics.js';
+import { DIGITS, SIZES } from '../lib/resultDecoder.js';
+
+// Every test takes the series in chronological order (oldest first) and returns
+// { name, statistic, pValue, verdict } plus whatever details explain the number.
+export class RandomnessTests {
+  static report(data, alpha = 0.05) {
+    // DataFetcher serves most recent first
+    const chronological = [...data].reverse();
+    const numbers = chronological.map(d => d.number);
+    const outcomes = chronological.map(d => d.outcome);
+
+    const tests = {
+      chiSquare: this.chiSquareUniformity(numbers, alpha),
+      runs: this.runsTest(outcomes, alpha),
+      autocorrelation: this.autocorrelation(numbers, [1, 2, 3, 5, 10], alpha),
+      gap: this.gapTest(numbers, alpha),
+      markov: this.markovTest(outcomes, alpha)
+    };
+
+    return {
+      samples: data.length,
+      alpha,
+      tests,
+      summary: this.summarize(tests, alpha)
+    };
+  }
+
+  static summarize(tests, alpha) {
+    // Bonferroni: running five tests makes one false alarm at alpha fairly likely
+    const evaluated = Object.values(tests).filter(t => t.pValue !== null);
+    const threshold = evaluated.length ? alpha / evaluated.length : alpha;
+    const flagged = evaluated.filter(t => t.pValue < threshold).map(t => t.name);
+
+    let verdict;
+    if (evaluated.length === 0) {
+      verdict = 'Not enough draws to test for randomness';
+    } else if (flagged.length === 0) {
+      verdict = 'No evidence of structure; the draws look random';
+    } else {
+      verdict = `Possible structure detected by: ${flagged.join(', ')}`;
+    }
+
+    return {
+      testsRun: evaluated.length,
+      adjustedAlpha: threshold,
+      flagged,
+      random: flagged.length === 0,
+      verdict
+    };
+  }
+
+  static verdict(pValue, alpha) {
+    if (pValue === null) return 'Not enough data';
+    return pValue < alpha
+      ? `Reject randomness at the ${alpha} level`
+      : 'Consistent with randomness';
+  }
+
+  static insufficient(name, needed) {
+    return { name, statistic: null, pValue: null, verdict: `Not enough data (needs ${needed} draws)` };
+  }
+
+  static chiSquareUniformity(numbers, alpha = 0.05) {
+    const name = 'Chi-square digit uniformity';
+    // At least five expected hits per digit for the approximation to hold
+    if (numbers.length < 50) return this.insufficient(name, 50);
+
+    const counts = _.countBy(numbers);
+    const expected = numbers.length / DIGITS.length;
+    const statistic = _.sumBy(DIGITS, d => Math.pow((counts[d] || 0) - expected, 2) / expected);
+    const pValue = Statistics.chiSquareSurvival(statistic, DIGITS.length - 1);
+
+    return {
+      name,
+      statistic,
+      degreesOfFreedom: DIGITS.length - 1,
+      pValue,
+      verdict: this.verdict(pValue, alpha),
+      counts: Object.fromEntries(DIGITS.map(d => [d, counts[d] || 0])),
+      expected
+    };
+  }
+
+  static runsTest(outcomes, alpha = 0.05) {
+    const name = 'Wald-Wolfowitz runs';
+    if (outcomes.length < 20) return this.insufficient(name, 20);
+
+    const n1 = outcomes.filter(o => o === SIZES[0]).length;
+    const n2 = outcomes.length - n1;
+    if (n1 === 0 || n2 === 0) {
+      return { name, statistic: null, pValue: 0, verdict: `Every draw was ${outcomes[0]}`, runs: 1 };
+    }
+
+    let runs = 1;
+    for (let i = 1; i < outcomes.length; i++) {
+      if (outcomes[i] !== outcomes[i - 1]) runs++;
+    }
+
+    const n = n1 + n2;
+    const expectedRuns = (2 * n1 * n2) / n + 1;
+    const variance = (2 * n1 * n2 * (2 * n1 * n2 - n)) / (n * n * (n - 1));
+    const statistic = (runs - expectedRuns) / Math.sqrt(variance);
+    const pValue = Statistics.twoSidedNormalP(statistic);
+
+    return {
+      name,
+      statistic,
+      pValue,
+      verdict: this.verdict(pValue, alpha),
+      runs,
+      expectedRuns,
+      // Too few runs means streaky draws, too many means alternating ones
+      tendency: statistic < 0 ? 'STREAKY' : 'ALTERNATING'
+    };
+  }
+
+  static autocorrelation(numbers, lags = [1, 2, 3, 5, 10], alpha = 0.05) {
+    const name = 'Serial autocorrelation (Ljung-Box)';
+    const maxLag = Math.max(...lags);
+    if (numbers.length < maxLag * 4) return this.insufficient(name, maxLag * 4);
+
+    const n = numbers.length;
+    const mean = _.mean(numbers);
+    const denominator = _.sumBy(numbers, x => Math.pow(x - mean, 2));
+    if (denominator === 0) {
+      return { name, statistic: null, pValue: 0, verdict: 'Every draw was the same digit', lags: [] };
+    }
+
+    const coefficients = lags.map(lag => {
+      let numerator = 0;
+      for (let i = lag; i < n; i++) {
+        numerator += (numbers[i] - mean) * (numbers[i - lag] - mean);
+      }
+      const r = numerator / denominator;
+      // Under independence r is roughly N(0, 1/n)
+      const pValue = Statistics.twoSidedNormalP(r * Math.sqrt(n));
+      return { lag, coefficient: r, pValue };
+    });
+
+    const statistic = n * (n + 2) * _.sumBy(coefficients, c => (c.coefficient * c.coefficient) / (n - c.lag));
+    const pValue = Statistics.chiSquareSurvival(statistic, lags.length);
+
+    return {
+      name,
+      statistic,
+      degreesOfFreedom: lags.length,
+      pValue,
+      verdict: this.verdict(pValue, alpha),
+      lags: coefficients
+    };
+  }
+
+  static gapTest(numbers, alpha = 0.05, maxGap = 15) {
+    // Gaps between repeats of a digit should be geometric with p = 0.1
+    const name = 'Gap test';
+    if (numbers.length < 100) return this.insufficient(name, 100);
+
+    const p = 1 / DIGITS.length;
+    const observed = Array(maxGap + 1).fill(0);
+    const lastSeen = {};
+
+    numbers.forEach((digit, i) => {
+      if (lastSeen[digit] !== undefined) {
+        const gap = i - lastSeen[digit] - 1;
+        observed[Math.min(gap, maxGap)]++;
+      }
+      lastSeen[digit] = i;
+    });
+
+    const totalGaps = _.sum(observed);
+    const expected = observed.map((_count, gap) => gap < maxGap
+      ? totalGaps * p * Math.pow(1 - p, gap)
+      : totalGaps * Math.pow(1 - p, maxGap));
+
+    const statistic = _.sum(observed.map((o, i) => Math.pow(o - expected[i], 2) / expected[i]));
+    const pValue = Statistics.chiSquareSurvival(statistic, maxGap);
+
+    return {
+      name,
+      statistic,
+      degreesOfFreedom: maxGap,
+      pValue,
+      verdict: this.verdict(pValue, alpha),
+      gaps: totalGaps
+    };
+  }
+
+  static markovTest(outcomes, alpha = 0.05) {
+    // Chi-square test of independence between each outcome and the one after it
+    const name = 'Markov transition independence';
+    if (outcomes.length < 30) return this.insufficient(name, 30);
+
+    const counts = Object.fromEntries(SIZES.map(from => [from, Object.fromEntries(SIZES.map(to => [to, 0]))]));
+    for (let i = 1; i < outcomes.length; i++) {
+      counts[outcomes[i - 1]][outcomes[i]]++;
+    }
+
+    const total = outcomes.length - 1;
+    const rowTotals = Object.fromEntries(SIZES.map(from => [from, _.sum(Object.values(counts[from]))]));
+    const columnTotals = Object.fromEntries(SIZES.map(to => [to, _.sumBy(SIZES, from => counts[from][to])]));
+
+    let statistic = 0;
+    for (const from of SIZES) {
+      for (const to of SIZES) {
+        const expected = (rowTotals[from] * columnTotals[to]) / total;
+        if (expected > 0) statistic += Math.pow(counts[from][to] - expected, 2) / expected;
+      }
+    }
+
+    const degreesOfFreedom = Math.pow(SIZES.length - 1, 2);
+    const pValue = Statistics.chiSquareSurvival(statistic, degreesOfFreedom);
+
+    const matrix = Object.fromEntries(SIZES.map(from => [
+      from,
+      Object.fromEntries(SIZES.map(to => [to, rowTotals[from] ? counts[from][to] / rowTotals[from] : 0]))
+    ]));
+
+    return {
+      name,
+      statistic,
+      degreesOfFreedom,
+      pValue,
+      verdict: this.verdict(pValue, alpha),
+      matrix,
+      counts
+    };
+  }
+}
@@ -0,0 +1,132 @@
+import * as math from 'mathjs';
+
+export class Statistics {
+  static normalCdf(z) {
+    return 0.5 * (1 + math.erf(z / Math.SQRT2));
+  }
+
+  static wilsonInterval(successes, trials, level = 0.95) {
+    if (trials === 0) return { lower: 0, upper: 1, level };
+
+    const z = this.normalQuantile(1 - (1 - level) / 2);
+    const p = successes / trials;
+    const denominator = 1 + (z * z) / trials;
+    const centre = (p + (z * z) / (2 * trials)) / denominator;
+    const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+
+    return {
+      lower: Math.max(0, centre - margin),
+      upper: Math.min(1, centre + margin),
+      level
+    };
+  }
+
+  static normalQuantile(p) {
+    // Acklam's rational approximation, accurate to ~1e-9
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+      return -this.normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  static binomialPmf(k, n, p) {
+    if (p === 0) return k === 0 ? 1 : 0;
+    if (p === 1) return k === n ? 1 : 0;
+    const logCoefficient = math.lgamma(n + 1) - math.lgamma(k + 1) - math.lgamma(n - k + 1);
+    return Math.exp(logCoefficient + k * Math.log(p) + (n - k) * Math.log(1 - p));
+  }
+
+  static binomialTest(successes, trials, p = 0.5) {
+    // Exact two-sided test: sum every outcome no more likely than the observed one
+    if (trials === 0) return 1;
+
+    const observed = this.binomialPmf(successes, trials, p);
+    let pValue = 0;
+    for (let k = 0; k <= trials; k++) {
+      const probability = this.binomialPmf(k, trials, p);
+      if (probability <= observed * (1 + 1e-7)) {
+        pValue += probability;
+      }
+    }
+
+    return Math.min(1, pValue);
+  }
+
+  static longestRuns(sequence) {
+    const runs = {};
+    let currentValue = null;
+    let currentLength = 0;
+
+    for (const value of sequence) {
+      if (value === currentValue) {
+        currentLength++;
+      } else {
+        currentValue = value;
+        currentLength = 1;
+      }
+      runs[value] = Math.max(runs[value] || 0, currentLength);
+    }
+
+    return runs;
+  }
+
+  static twoSidedNormalP(z) {
+    return 2 * (1 - this.normalCdf(Math.abs(z)));
+  }
+
+  static chiSquareSurvival(statistic, degreesOfFreedom) {
+    if (statistic <= 0) return 1;
+    return this.regularizedGammaQ(degreesOfFreedom / 2, statistic / 2);
+  }
+
+  static regularizedGammaQ(a, x) {
+    // Numerical Recipes: series expansion below a + 1, continued fraction above
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 500; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+      }
+      return 1 - sum * Math.exp(-x + a * Math.log(x) - math.lgamma(a));
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - math.lgamma(a)) * h;
+  }
+}
@@ -1,5 +1,11 @@
 import * as math from 'mathjs';
 import _ from 'lodash';
+import { sizeOf } from '../lib/resultDecoder.js';
+
+export const REGIMES = ['STREAKY', 'RANDOM', 'ALTERNATING'];
+
+// How often the size flips between consecutive draws in each regime
+const REGIME_SWITCH_RATES = { STREAKY: 0.3, RANDOM: 0.5, ALTERNATING: 0.7 };
 
 export class TrendAnalyzer {
   static calculateTrendStrength(numbers, shortWindow = 5, longWindow = 20) {
@@ -10,7 +16,7 @@ export class TrendAnalyzer {
     const shortAvg = _.mean(numbers.slice(0, shortWindow));
     const longAvg = _.mean(numbers.slice(0, longWindow));
     
-    const percentageDiff = ((shortAvg - longAvg) / longAvg) * 100;
+    const percentageDiff = longAvg ? ((shortAvg - longAvg) / longAvg) * 100 : 0;
     const direction = percentageDiff > 0 ? 'UPWARD' : percentageDiff < 0 ? 'DOWNWARD' : 'NEUTRAL';
     const strength = Math.abs(percentageDiff);
     
@@ -27,50 +33,36 @@ export class TrendAnalyzer {
     return { strength, direction, confidence };
   }
 
-  static detectSupportResistance(numbers, sensitivity = 0.02) {
-    if (numbers.length < 20) return { support: 0, resistance: 100 };
-    
-    const sorted = [...numbers].sort((a, b) => a - b);
-    
-    // Find clusters (potential support/resistance levels)
-    const clusters = [];
-    let currentCluster = [sorted[0]];
-    
-    for (let i = 1; i < sorted.length; i++) {
-      const diff = (sorted[i] - currentCluster[currentCluster.length - 1]) / sorted[i];
-      if (diff < sensitivity) {
-        currentCluster.push(sorted[i]);
-      } else {
-        clusters.push(currentCluster);
-        currentCluster = [sorted[i]];
-      }
-    }
-    clusters.push(currentCluster);
-    
-    // Find densest clusters (strong support/resistance)
-    clusters.sort((a, b) => b.length - a.length);
-    
-    const support = _.mean(clusters[0] || [0]);
-    const resistance = _.mean(clusters[clusters.length - 1] || [100]);
-    
-    return { support, resistance, clusterCount: clusters.length };
+  // Digits have no price history to bounce off, so the levels are the window's outer
+  // quantiles: support is the digit a `tail` share of draws fall below, resistance the
+  // one a `tail` share rise above. Both stay within 0..range, support never above.
+  static detectSupportResistance(numbers, tail = 0.1, range = 9) {
+    if (numbers.length < 20) return { support: 0, resistance: range };
+
+    return {
+      support: math.quantileSeq(numbers, tail),
+      resistance: math.quantileSeq(numbers, 1 - tail)
+    };
   }
 
-  static calculateVolatility(numbers, period = 20) {
+  static calculateVolatility(numbers, period = 20, range = 9) {
     if (numbers.length < period) return { volatility: 0, riskLevel: 'LOW' };
     
-    const returns = [];
+    // Draws are digits that can be 0, so use step changes scaled by the digit range
+    // instead of percentage returns
+    const changes = [];
     for (let i = 1; i < period; i++) {
-      returns.push((numbers[i-1] - numbers[i]) / numbers[i]);
+      changes.push((numbers[i-1] - numbers[i]) / range);
     }
     
-    const volatility = math.std(returns) * Math.sqrt(365); // Annualized
+    // Independent uniform digits give about 0.45 here
+    const volatility = math.std(changes);
     
     let riskLevel = 'LOW';
-    if (volatility > 0.3) riskLevel = 'HIGH';
-    else if (volatility > 0.15) riskLevel = 'MEDIUM';
+    if (volatility > 0.5) riskLevel = 'HIGH';
+    else if (volatility > 0.35) riskLevel = 'MEDIUM';
     
-    return { volatility, riskLevel, annualized: volatility * 100 };
+    return { volatility, riskLevel };
   }
 
   static predictNextWithTrend(numbers, currentTrend) {
@@ -83,10 +75,10 @@ export class TrendAnalyzer {
     let confidence;
     
     if (trend.direction === 'UPWARD' && trend.strength > 0.5) {
-      prediction = lastNumber >= 50 ? 'BIG' : 'SMALL';
+      prediction = sizeOf(lastNumber);
       confidence = Math.min(trend.confidence * 1.2, 95);
     } else if (trend.direction === 'DOWNWARD' && trend.strength > 0.5) {
-      prediction = lastNumber < 50 ? 'SMALL' : 'BIG';
+      prediction = sizeOf(lastNumber);
       confidence = Math.min(trend.confidence * 1.2, 95);
     } else {
       // Weak trend, use mean reversion
@@ -97,4 +89,180 @@ export class TrendAnalyzer {
     
     return { prediction, confidence };
   }
+
+  // Two-sided CUSUM over a chronological series, in units of `sd` around `target`.
+  // An alarm fires once either sum passes `threshold`; the change is placed where that
+  // sum last stood at zero, and both sums restart from the alarm around the mean since
+  // the change, so a lasting shift is reported once rather than every few draws.
+  static cusum(series, options = {}) {
+    const { sd = 1, slack = 0.5, threshold = 5 } = options;
+    const changePoints = [];
+    let target = options.target ?? 0;
+    let upper = 0;
+    let lower = 0;
+    let upperStart = 0;
+    let lowerStart = 0;
+
+    series.forEach((value, i) => {
+      const z = (value - target) / sd;
+      upper = Math.max(0, upper + z - slack);
+      lower = Math.max(0, lower - z - slack);
+      if (upper === 0) upperStart = i + 1;
+      if (lower === 0) lowerStart = i + 1;
+
+      if (upper > threshold || lower > threshold) {
+        const up = upper > threshold;
+        const index = up ? upperStart : lowerStart;
+        changePoints.push({ index, detectedAt: i, direction: up ? 'UP' : 'DOWN' });
+        target = _.mean(series.slice(index, i + 1));
+        upper = lower = 0;
+        upperStart = lowerStart = i + 1;
+      }
+    });
+
+    return changePoints;
+  }
+
+  // Bayesian online change-point detection (Adams & MacKay) for a chronological 0/1
+  // series with a Beta prior per segment and a constant hazard of 1 / expectedRunLength.
+  // Change points follow the most probable run length: wherever it says the current
+  // segment starts is one, and any later ones it has since jumped back over are retracted.
+  static bayesianChangePoints(series, options = {}) {
+    const { expectedRunLength = 100, maxRunLength = 300, prior = [1, 1] } = options;
+    const hazard = 1 / expectedRunLength;
+    let runs = [1];
+    let successes = [0];
+    let failures = [0];
+    let changePoints = [];
+    let runLength = 0;
+
+    series.forEach((value, t) => {
+      const predictive = runs.map((p, r) => {
+        const big = (prior[0] + successes[r]) / (prior[0] + prior[1] + successes[r] + failures[r]);
+        return p * (value ? big : 1 - big);
+      });
+      const evidence = _.sum(predictive);
+      runs = [hazard, ...predictive.map(p => p * (1 - hazard) / evidence)];
+      successes = [0, ...successes.map(s => s + value)];
+      failures = [0, ...failures.map(f => f + 1 - value)];
+
+      // The longest runs are folded into the cap so the cost stays linear
+      if (runs.length > maxRunLength) {
+        runs[maxRunLength - 1] += _.sum(runs.splice(maxRunLength));
+        successes.length = failures.length = maxRunLength;
       }
+
+      // runs[r] is the probability the current segment holds the last r observations
+      runLength = runs.indexOf(_.max(runs));
+      const start = t + 1 - runLength;
+      changePoints = changePoints.filter(cp => cp.index <= start);
+      const last = _.last(changePoints);
+      if (runLength > 0 && start > 0 && !(last && last.index === start)) {
+        changePoints.push({ index: start, detectedAt: t, probability: runs[runLength] });
+      }
+    });
+
+    return { changePoints, runLength };
+  }
+
+  // Three-state hidden Markov model over whether each draw switched size from the one
+  // before: STREAKY repeats, ALTERNATING flips, RANDOM is the fair coin. Forward
+  // filtering gives the current regime's probabilities and Viterbi the segmentation.
+  static classifyRegime(outcomes, options = {}) {
+    const { stay = 0.97, switchRates = REGIME_SWITCH_RATES, path = false } = options;
+    const switches = outcomes.slice(1).map((outcome, i) => (outcome === outcomes[i] ? 0 : 1));
+    const states = REGIMES.length;
+    const move = (1 - stay) / (states - 1);
+    const rates = REGIMES.map(name => switchRates[name]);
+    const logStay = Math.log(stay);
+    const logMove = Math.log(move);
+
+    // Every regime is as likely to be left for any other, so predicting one step
+    // ahead is stay * p + move * (1 - p) per regime
+    let filtered = REGIMES.map(() => 1 / states);
+    let scores = filtered.map(Math.log);
+    const pointers = [];
+
+    for (const x of switches) {
+      const joint = filtered.map((p, s) => (stay * p + move * (1 - p)) * (x ? rates[s] : 1 - rates[s]));
+      const total = _.sum(joint);
+      filtered = joint.map(p => p / total);
+
+      if (path) {
+        const from = scores.map((score, s) => {
+          let best = s;
+          let bestScore = score + logStay;
+          for (let k = 0; k < states; k++) {
+            if (k !== s && scores[k] + logMove > bestScore) [best, bestScore] = [k, scores[k] + logMove];
+          }
+          return best;
+        });
+        scores = from.map((k, s) => scores[k] + (k === s ? logStay : logMove) + Math.log(x ? rates[s] : 1 - rates[s]));
+        pointers.push(from);
+      }
+    }
+
+    const probabilities = _.zipObject(REGIMES, filtered);
+    const regime = REGIMES[filtered.indexOf(_.max(filtered))];
+    if (!path) return { regime, probabilities, switches };
+
+    // Walk the best path back from the end; sequence[i] is the regime at switches[i]
+    const sequence = Array(switches.length);
+    let state = scores.indexOf(_.max(scores));
+    for (let i = switches.length - 1; i >= 0; i--) {
+      sequence[i] = REGIMES[state];
+      state = pointers[i][state];
+    }
+    return { regime, probabilities, switches, path: sequence };
+  }
+
+  // Regime and change points for a draw series, most recent first as DataFetcher
+  // returns it. Positions are reported as draws ago, 0 being the latest draw.
+  static detectRegime(data, options = {}) {
+    const chronological = [...data].reverse();
+    if (chronological.length < (options.minSamples || 20)) return null;
+
+    const outcomes = chronological.map(d => d.outcome);
+    const numbers = chronological.map(d => d.number);
+    const latest = chronological.length - 1;
+    const { regime, probabilities, switches, path } = this.classifyRegime(outcomes, { path: true });
+
+    // switches[i] compares draws i and i + 1, so a change at switch i shows from draw i + 1
+    const atDraw = (index, method, series, extra) => ({
+      issue: chronological[index].issue,
+      drawnAt: chronological[index].timestamp || null,
+      drawsAgo: latest - index,
+      method,
+      series,
+      ...extra
+    });
+
+    // The filtered regime's run at the end of the Viterbi path; the latest draw alone
+    // when the two disagree
+    let regimeStart = path.length;
+    while (regimeStart > 0 && path[regimeStart - 1] === regime) regimeStart--;
+    regimeStart = Math.min(regimeStart, path.length - 1);
+
+    const bayesian = this.bayesianChangePoints(switches, options.bayesian);
+    const changePoints = _.sortBy([
+      ...this.cusum(switches, { target: 0.5, sd: 0.5 })
+        .map(cp => atDraw(cp.index + 1, 'CUSUM', 'switches', { direction: cp.direction })),
+      // A fair digit has mean 4.5 and standard deviation sqrt(8.25)
+      ...this.cusum(numbers, { target: 4.5, sd: Math.sqrt(8.25) })
+        .map(cp => atDraw(cp.index, 'CUSUM', 'digits', { direction: cp.direction })),
+      ...bayesian.changePoints
+        .map(cp => atDraw(cp.index + 1, 'BAYESIAN', 'switches', { probability: cp.probability }))
+    ], 'drawsAgo');
+
+    return {
+      samples: chronological.length,
+      regime,
+      probabilities,
+      regimeStart: atDraw(regimeStart + 1, 'HMM', 'switches'),
+      switchRate: _.mean(switches.slice(-20)),
+      runLength: bayesian.runLength,
+      lastChangePoint: changePoints[0] || null,
+      changePoints
+    };
+  }
+}